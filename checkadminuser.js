@@ -1,11 +1,12 @@
 // checkAdmin.js - Run this to verify your admin user exists
 const { User } = require('./models/User');
 const mongoose = require('mongoose');
+const { config } = require('./config');
 require('dotenv').config();
 
 async function checkAdmin() {
   try {
-    await mongoose.connect(process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/your-db-name');
+    await mongoose.connect(config.mongoUri);
     
     const adminEmail = 'admin@yourapp.com'; // Use the same email from your creation script
     const user = await User.findOne({ email: adminEmail });
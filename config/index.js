@@ -0,0 +1,253 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const DEFAULT_CORS_ORIGINS = [
+  'https://tribhuwan-pulse-i763.vercel.app',
+  'http://localhost:3000',
+  'http://localhost:5173',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:5173',
+  'http://127.0.0.1:4173',
+  'http://172.25.205.32',
+  'http://202.70.90.11:81',
+  'http://digitaldashboard.tu.edu.np:81',
+  'http://digitaldashboard.tu.edu.np',
+  'https://digitaldashboard.tu.edu.np'
+];
+
+/**
+ * Environment schema. Every setting the application reads is declared here.
+ *   type     string | number | boolean | list (comma separated) | enum
+ *   required fail startup when missing
+ *   secret   masked in the admin config view
+ */
+const SCHEMA = {
+  NODE_ENV: { type: 'string', default: 'development' },
+  PORT: { type: 'number', default: 4000, min: 1 },
+  MONGODB_URI: { type: 'string', required: true, secret: true },
+
+  JWT_SECRET: { type: 'string', required: true, secret: true, minLength: 16 },
+  JWT_EXPIRES_IN: { type: 'string', default: '15m' },
+  REFRESH_TOKEN_TTL_DAYS: { type: 'number', default: 30, min: 1 },
+  INVITATION_TTL_HOURS: { type: 'number', default: 72, min: 1 },
+  APP_BASE_URL: { type: 'string', default: 'http://localhost:5173' },
+
+  PROGRESS_JWT_SECRET: { type: 'string', required: true, secret: true, minLength: 16 },
+  PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK: { type: 'boolean', default: false },
+
+  // Defaults to smtp when SMTP_HOST is set, otherwise console
+  MAIL_TRANSPORT: { type: 'enum', values: ['smtp', 'file', 'console'] },
+  MAIL_FROM: { type: 'string', default: '' },
+  MAIL_FILE_DIR: { type: 'string', default: path.join(process.cwd(), 'generated', 'mail') },
+  SMTP_HOST: { type: 'string', default: '' },
+  SMTP_PORT: { type: 'number', default: 465, min: 1 },
+  SMTP_SECURE: { type: 'boolean', default: true },
+  SMTP_USER: { type: 'string', default: '' },
+  SMTP_PASS: { type: 'string', default: '', secret: true },
+  // Language of template emails for recipients without a preference
+  MAIL_DEFAULT_LOCALE: { type: 'enum', values: ['en', 'ne'], default: 'en' },
+  // Queued emails (outbox) are sent by a background job and retried with exponential backoff
+  MAIL_OUTBOX_ENABLED: { type: 'boolean', default: true },
+  MAIL_OUTBOX_INTERVAL_SECONDS: { type: 'number', default: 30, min: 5 },
+  MAIL_OUTBOX_MAX_ATTEMPTS: { type: 'number', default: 6, min: 1 },
+  MAIL_OUTBOX_RETRY_BASE_SECONDS: { type: 'number', default: 60, min: 1 },
+
+  CORS_ORIGINS: { type: 'list', default: DEFAULT_CORS_ORIGINS },
+  CORS_ORIGIN: { type: 'string', default: '' },
+
+  JSON_BODY_LIMIT: { type: 'string', default: '1mb' },
+  UPLOAD_MAX_FILE_SIZE_MB: { type: 'number', default: 15, min: 1 },
+  UPLOAD_MAX_FILES: { type: 'number', default: 10, min: 1 },
+  SURVEY_PDF_MAX_SIZE_MB: { type: 'number', default: 50, min: 1 },
+
+  // Days after resolution during which the submitter may reopen a suggestion
+  SUGGESTION_REOPEN_WINDOW_DAYS: { type: 'number', default: 14, min: 0 },
+
+  SLA_JOB_ENABLED: { type: 'boolean', default: true },
+  SLA_CHECK_INTERVAL_MINUTES: { type: 'number', default: 15, min: 1 },
+
+  // Days an in-app notification is kept before MongoDB removes it
+  NOTIFICATION_RETENTION_DAYS: { type: 'number', default: 90, min: 1 },
+
+  // Yearly email to donors on the anniversary of their endowment agreement
+  DONOR_ANNIVERSARY_JOB_ENABLED: { type: 'boolean', default: true },
+
+  // Extra words masked in public suggestion text, on top of the built-in list
+  MODERATION_PROFANITY_WORDS: { type: 'list', default: [] },
+  MODERATION_MASK_NAMES: { type: 'boolean', default: true },
+
+  LLAMA_API_URL: { type: 'string', default: '' },
+  LLAMA_API_KEY: { type: 'string', default: '', secret: true },
+  LLAMA_MODEL: { type: 'string', default: 'llama-3.1-8b-instant' },
+  OUTPUT_DIR: { type: 'string', default: path.join(__dirname, '..', 'generated') }
+};
+
+function parseValue(key, rule, raw, errors) {
+  if (raw === undefined || String(raw).trim() === '') {
+    if (rule.required) errors.push(`${key} is required`);
+    return rule.default;
+  }
+
+  const value = String(raw).trim();
+  switch (rule.type) {
+    case 'number': {
+      const num = Number(value);
+      if (!Number.isFinite(num)) {
+        errors.push(`${key} must be a number (got "${value}")`);
+        return rule.default;
+      }
+      if (rule.min !== undefined && num < rule.min) {
+        errors.push(`${key} must be at least ${rule.min}`);
+      }
+      return num;
+    }
+    case 'boolean':
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        errors.push(`${key} must be true or false (got "${value}")`);
+        return rule.default;
+      }
+      return value.toLowerCase() === 'true';
+    case 'list':
+      return value.split(',').map((item) => item.trim()).filter(Boolean);
+    case 'enum':
+      if (!rule.values.includes(value.toLowerCase())) {
+        errors.push(`${key} must be one of ${rule.values.join(', ')} (got "${value}")`);
+        return rule.default;
+      }
+      return value.toLowerCase();
+    default:
+      if (rule.minLength && value.length < rule.minLength) {
+        errors.push(`${key} must be at least ${rule.minLength} characters`);
+      }
+      return value;
+  }
+}
+
+function loadConfig(env = process.env) {
+  const errors = [];
+  const settings = {};
+  Object.entries(SCHEMA).forEach(([key, rule]) => {
+    settings[key] = parseValue(key, rule, env[key], errors);
+  });
+
+  // The console transport prints whole messages, reset and verification links included,
+  // so production never falls back to it silently
+  if (!settings.MAIL_TRANSPORT && !settings.SMTP_HOST && settings.NODE_ENV === 'production') {
+    errors.push('SMTP_HOST (or an explicit MAIL_TRANSPORT) is required when NODE_ENV=production');
+  }
+  if (!settings.MAIL_TRANSPORT) settings.MAIL_TRANSPORT = settings.SMTP_HOST ? 'smtp' : 'console';
+  if (settings.MAIL_TRANSPORT === 'smtp') {
+    if (!settings.SMTP_HOST) errors.push('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+    if (!(settings.MAIL_FROM || settings.SMTP_USER)) errors.push('MAIL_FROM or SMTP_USER is required when MAIL_TRANSPORT=smtp');
+  }
+  if (settings.LLAMA_API_URL && !settings.LLAMA_API_KEY) {
+    errors.push('LLAMA_API_KEY is required when LLAMA_API_URL is set');
+  }
+
+  const config = {
+    env: settings.NODE_ENV,
+    port: settings.PORT,
+    mongoUri: settings.MONGODB_URI,
+    appBaseUrl: settings.APP_BASE_URL.replace(/\/+$/, ''),
+    jwt: {
+      secret: settings.JWT_SECRET,
+      expiresIn: settings.JWT_EXPIRES_IN,
+      refreshTokenTtlDays: settings.REFRESH_TOKEN_TTL_DAYS,
+      invitationTtlHours: settings.INVITATION_TTL_HOURS
+    },
+    progress: {
+      jwtSecret: settings.PROGRESS_JWT_SECRET,
+      allowConsoleFallback: settings.PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK
+    },
+    mail: {
+      transport: settings.MAIL_TRANSPORT,
+      fromAddress: settings.MAIL_FROM || settings.SMTP_USER,
+      fileDir: settings.MAIL_FILE_DIR,
+      defaultLocale: settings.MAIL_DEFAULT_LOCALE,
+      outbox: {
+        enabled: settings.MAIL_OUTBOX_ENABLED,
+        intervalSeconds: settings.MAIL_OUTBOX_INTERVAL_SECONDS,
+        maxAttempts: settings.MAIL_OUTBOX_MAX_ATTEMPTS,
+        retryBaseSeconds: settings.MAIL_OUTBOX_RETRY_BASE_SECONDS
+      },
+      smtp: {
+        host: settings.SMTP_HOST,
+        port: settings.SMTP_PORT,
+        secure: settings.SMTP_SECURE,
+        user: settings.SMTP_USER,
+        pass: settings.SMTP_PASS
+      }
+    },
+    cors: {
+      origins: [...new Set([settings.CORS_ORIGIN, ...settings.CORS_ORIGINS].filter(Boolean))]
+    },
+    uploads: {
+      jsonBodyLimit: settings.JSON_BODY_LIMIT,
+      maxFileSizeBytes: settings.UPLOAD_MAX_FILE_SIZE_MB * 1024 * 1024,
+      maxFiles: settings.UPLOAD_MAX_FILES,
+      maxPdfSizeBytes: settings.SURVEY_PDF_MAX_SIZE_MB * 1024 * 1024
+    },
+    suggestions: {
+      reopenWindowDays: settings.SUGGESTION_REOPEN_WINDOW_DAYS
+    },
+    sla: {
+      jobEnabled: settings.SLA_JOB_ENABLED,
+      checkIntervalMinutes: settings.SLA_CHECK_INTERVAL_MINUTES
+    },
+    notifications: {
+      retentionDays: settings.NOTIFICATION_RETENTION_DAYS
+    },
+    donors: {
+      anniversaryJobEnabled: settings.DONOR_ANNIVERSARY_JOB_ENABLED
+    },
+    moderation: {
+      profanityWords: settings.MODERATION_PROFANITY_WORDS,
+      maskNames: settings.MODERATION_MASK_NAMES
+    },
+    llm: {
+      url: settings.LLAMA_API_URL,
+      apiKey: settings.LLAMA_API_KEY,
+      model: settings.LLAMA_MODEL
+    },
+    outputDir: settings.OUTPUT_DIR
+  };
+
+  return { config, settings, errors };
+}
+
+const { config, settings, errors: configErrors } = loadConfig();
+
+/**
+ * Stop the process with a readable list of problems when configuration is invalid.
+ * Call once at startup, before connecting to the database.
+ */
+function assertValidConfig() {
+  if (configErrors.length === 0) return;
+  console.error('❌ Invalid configuration. Fix these settings in the environment or .env:');
+  configErrors.forEach((message) => console.error(`   - ${message}`));
+  process.exit(1);
+}
+
+function redactMongoUri(uri) {
+  return String(uri || '').replace(/\/\/([^@/]+)@/, '//********@');
+}
+
+// Settings view for admins: secrets are reported only as set / not set
+function redactedConfig() {
+  const view = {};
+  Object.entries(SCHEMA).forEach(([key, rule]) => {
+    const value = settings[key];
+    if (key === 'MONGODB_URI') {
+      view[key] = value ? redactMongoUri(value) : null;
+    } else if (rule.secret) {
+      view[key] = value ? '********' : null;
+    } else {
+      view[key] = value;
+    }
+  });
+  return view;
+}
+
+module.exports = { config, configErrors, assertValidConfig, redactedConfig, loadConfig };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { config } = require('./index');
+
+/**
+ * Pluggable mail transport.
+ *
+ * config.mail.transport (MAIL_TRANSPORT) selects how messages leave the process:
+ *   smtp    - nodemailer SMTP transport (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ *   file    - each message is written as JSON to MAIL_FILE_DIR (local development and tests)
+ *   console - each message is logged to stdout, links and codes included; never the
+ *             silent default in production (see config/index.js)
+ */
+const MAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+function createSmtpTransport({ host, port, secure, user, pass }) {
+  return nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user && pass ? { user, pass } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 10000,
+  });
+}
+
+function createMailer(settings = config.mail) {
+  if (!MAIL_TRANSPORTS.includes(settings.transport)) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${settings.transport}". Allowed: ${MAIL_TRANSPORTS.join(', ')}`);
+  }
+
+  const configured = settings.transport !== 'smtp' || Boolean(settings.smtp.host && settings.fromAddress);
+  const transport = settings.transport === 'smtp'
+    ? createSmtpTransport(settings.smtp)
+    : nodemailer.createTransport({ jsonTransport: true });
+
+  async function send({ to, subject, text, html }) {
+    if (!configured) throw new Error('Email service is not configured');
+
+    const info = await transport.sendMail({ from: settings.fromAddress || 'no-reply@localhost', to, subject, text, html });
+
+    if (settings.transport === 'file') {
+      fs.mkdirSync(settings.fileDir, { recursive: true });
+      const file = path.join(settings.fileDir, `${Date.now()}-${Math.round(Math.random() * 1e9)}.json`);
+      fs.writeFileSync(file, info.message);
+      return { deliveryMode: 'file', delivered: true, file };
+    }
+    if (settings.transport === 'console') {
+      console.log(`[mailer] ${info.message}`);
+      return { deliveryMode: 'console', delivered: true };
+    }
+    return { deliveryMode: 'smtp', delivered: true, messageId: info.messageId };
+  }
+
+  return { transport: settings.transport, configured, send };
+}
+
+let defaultMailer = null;
+
+// Shared mailer built from the application config on first use
+function getMailer() {
+  if (!defaultMailer) defaultMailer = createMailer();
+  return defaultMailer;
+}
+
+module.exports = { createMailer, getMailer, createSmtpTransport, MAIL_TRANSPORTS };
@@ -0,0 +1,68 @@
+const { ROLES, DEPARTMENT_STAFF_ROLE } = require('../models/User');
+const { requireProgressVerification } = require('../middleware/progressVerification');
+
+/**
+ * Central route permission table.
+ *
+ * Each entry guards `method` + `path` (Express path syntax, `all` matches any
+ * method) with verifyJWT followed by requireRole(...roles), or with a custom
+ * `guard` middleware when access depends on more than the role. Routes that are
+ * not listed here stay public. Keep this table the single place where access rules
+ * for the HTTP API are declared.
+ */
+const ADMIN = ['admin'];
+const AUTHENTICATED = ROLES;
+
+const PERMISSIONS = [
+  // Account
+  { method: 'post', path: '/api/auth/verify-email/resend', roles: AUTHENTICATED },
+
+  // In-app notifications: every signed-in user reads their own
+  { method: 'all', path: ['/api/notifications', '/api/notifications/*'], roles: AUTHENTICATED },
+
+  // Admin console: suggestions, departments, reports, events
+  { method: 'all', path: '/api/admin/*', roles: ADMIN },
+
+  // Department inbox: scoped to the user's departments by middleware/departmentScope.js
+  { method: 'all', path: '/api/department/*', roles: [DEPARTMENT_STAFF_ROLE, 'admin'] },
+
+  // College analytics dashboards
+  { method: 'get', path: '/api/colleges/*', roles: ADMIN },
+
+  // College forms (review and moderation)
+  { method: 'put', path: '/api/collegeform/:id', roles: ADMIN },
+  { method: 'delete', path: '/api/collegeform/:id', roles: ADMIN },
+  { method: 'patch', path: '/api/collegeform/:id/status', roles: ADMIN },
+  { method: 'patch', path: '/api/collegeform/bulk/status', roles: ADMIN },
+  { method: 'get', path: '/api/collegeform/my-forms', roles: AUTHENTICATED },
+
+  // Campus list
+  { method: 'post', path: ['/api/campus-list', '/api/campuslist', '/api/campuses'], roles: ADMIN },
+  { method: 'put', path: ['/api/campus-list/:id', '/api/campuslist/:id', '/api/campuses/:id'], roles: ADMIN },
+  { method: 'delete', path: ['/api/campus-list/:id', '/api/campuslist/:id', '/api/campuses/:id'], roles: ADMIN },
+
+  // Donors
+  { method: 'all', path: ['/api/donater', '/api/donater/*'], roles: ADMIN },
+
+  // Faculty forms (submission stays public)
+  { method: 'put', path: '/api/faculty-forms/:id', roles: ADMIN },
+  { method: 'delete', path: '/api/faculty-forms/:id', roles: ADMIN },
+  { method: 'patch', path: '/api/faculty-forms/:id/approve', roles: ADMIN },
+
+  // Progress reports: admins, or the email verified through /api/progress/otp
+  { method: 'post', path: ['/api/progress', '/api/reports'], guard: requireProgressVerification },
+  { method: 'put', path: ['/api/progress/:id', '/api/reports/:id'], guard: requireProgressVerification },
+  { method: 'put', path: '/:id', roles: ADMIN },
+  { method: 'delete', path: ['/api/progress/:id', '/api/reports/:id', '/:id'], roles: ADMIN },
+  { method: 'post', path: ['/api/progress/generateSummary', '/'], roles: ADMIN },
+
+  // Survey reports
+  { method: 'post', path: '/api/survey-reports', roles: ADMIN },
+  { method: 'put', path: '/api/survey-reports/:id', roles: ADMIN },
+  { method: 'delete', path: '/api/survey-reports/:id', roles: ADMIN },
+  { method: 'put', path: '/api/survey-reports/:id/approve', roles: ADMIN },
+  { method: 'put', path: '/api/survey-reports/:id/reject', roles: ADMIN },
+  { method: 'get', path: '/api/survey-reports/stats/overview', roles: ADMIN }
+];
+
+module.exports = { PERMISSIONS };
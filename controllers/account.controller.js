@@ -0,0 +1,142 @@
+const bcrypt = require('bcryptjs');
+const asyncHandler = require('express-async-handler');
+const { User } = require('../models/User');
+const { UserToken } = require('../models/UserToken');
+const { Session } = require('../models/Session');
+const { sendTemplate } = require('../services/mail');
+const { config } = require('../config');
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+function buildAppLink(pathname, token) {
+  return `${config.appBaseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await UserToken.issue(user._id, 'email-verification', EMAIL_VERIFICATION_TTL_MS);
+  const link = buildAppLink('/verify-email', token);
+  return sendTemplate({ to: user.email, template: 'verify-email', locale: user.locale, data: { name: user.name, link } });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await UserToken.issue(user._id, 'password-reset', PASSWORD_RESET_TTL_MS);
+  const link = buildAppLink('/reset-password', token);
+  return sendTemplate({ to: user.email, template: 'password-reset', locale: user.locale, data: { name: user.name, link } });
+}
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+
+    // Same response, and the same timing, whether or not the account exists, to avoid
+    // leaking registered emails: the email is sent after responding and failures are
+    // only logged. It is not queued in the outbox, which would store the reset link.
+    const user = await User.findOne({ email });
+    if (user) {
+      sendPasswordResetEmail(user).catch((mailErr) => {
+        console.error('Failed to send password reset email:', mailErr.message);
+      });
+    }
+
+    res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to start password reset', error: error.message });
+  }
+});
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a valid reset token)
+const resetPassword = asyncHandler(async (req, res) => {
+  try {
+    const { token, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'token and password are required' });
+    }
+    if (String(password).length < 6) {
+      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    }
+
+    const record = await UserToken.consume(token, 'password-reset');
+    if (!record) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    // Receiving the reset link also proves ownership of the email address
+    const user = await User.findByIdAndUpdate(
+      record.user,
+      { password: hash, passwordChangedAt: new Date(), emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
+    }
+
+    await Session.revoke({ user: user._id }, 'password-reset');
+
+    res.json({ success: true, message: 'Password has been reset. Please log in.' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to reset password', error: error.message });
+  }
+});
+
+// @desc    Confirm an email address
+// @route   POST /api/auth/verify-email
+// @access  Public (requires a valid verification token)
+const verifyEmail = asyncHandler(async (req, res) => {
+  try {
+    const record = await UserToken.consume(req.body?.token, 'email-verification');
+    if (!record) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      record.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification token' });
+    }
+
+    res.json({ success: true, message: 'Email verified', user: user.toSafeJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to verify email', error: error.message });
+  }
+});
+
+// @desc    Send a new verification email to the current user
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to send verification email', error: error.message });
+  }
+});
+
+module.exports = {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  sendVerificationEmail
+};
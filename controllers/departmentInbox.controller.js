@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { Suggestion, ACTION_TAKEN_MAX_LENGTH } = require('../models/Suggestion');
+const { SuggestionStatus } = require('../models/SuggestionStatus');
+const { buildSuggestionFilter, buildSuggestionSort } = require('../services/suggestionFilter');
+const { notifySuggestionUpdate } = require('../services/notifications');
+
+// Ids of the departments in req.departments (set by loadDepartmentScope)
+function scopeIds(req) {
+  return req.departments.map((department) => department._id);
+}
+
+// Suggestion by id, only when it is assigned to one of the user's departments
+function findScopedSuggestion(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return Promise.resolve(null);
+  return Suggestion.findOne({ _id: req.params.id, department: { $in: scopeIds(req) } });
+}
+
+// @desc    Suggestions assigned to the user's departments
+// @route   GET /api/department/suggestions
+// @access  Private/Department staff
+const listDepartmentSuggestions = asyncHandler(async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
+    const skip = (page - 1) * limit;
+
+    // assignedDepartment (id or name) narrows the inbox to one of the user's own departments
+    const { assignedDepartment } = req.query;
+    const selected = assignedDepartment
+      ? req.departments.find((item) => String(item._id) === String(assignedDepartment) || item.name === assignedDepartment)
+      : null;
+    if (assignedDepartment && !selected) {
+      return res.status(403).json({ success: false, message: 'You are not a member of this department' });
+    }
+
+    const { filter, terms, noMatch } = await buildSuggestionFilter({ ...req.query, assignedDepartment: undefined });
+    filter.department = selected ? selected._id : { $in: scopeIds(req) };
+    const departments = req.departments.map(({ _id, name }) => ({ _id, name }));
+    if (noMatch) {
+      return res.json({ success: true, page, limit, total: 0, departments, suggestions: [] });
+    }
+
+    const { order, projection } = buildSuggestionSort(req.query.sort, terms);
+    const [items, total] = await Promise.all([
+      Suggestion.find(filter, projection).sort(order).skip(skip).limit(limit),
+      Suggestion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      departments,
+      suggestions: items.map((doc) => doc.toAdminJSON())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch department suggestions', error: error.message });
+  }
+});
+
+// @desc    One suggestion from the user's departments, with its timeline
+// @route   GET /api/department/suggestions/:id
+// @access  Private/Department staff
+const getDepartmentSuggestion = asyncHandler(async (req, res) => {
+  try {
+    const doc = await findScopedSuggestion(req);
+    if (!doc) return res.status(404).json({ success: false, message: 'Suggestion not found' });
+
+    res.json({ success: true, suggestion: { ...doc.toAdminJSON(), history: doc.history } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch suggestion', error: error.message });
+  }
+});
+
+// @desc    Update status and action taken of a suggestion from the user's departments
+// @route   PATCH /api/department/suggestions/:id
+// @access  Private/Department staff
+const updateDepartmentSuggestion = asyncHandler(async (req, res) => {
+  try {
+    const body = req.body || {};
+    const updates = {};
+    if (body.status !== undefined) updates.status = String(body.status);
+    if (body.actionTaken !== undefined) updates.actionTaken = String(body.actionTaken || '').trim();
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ success: false, message: 'Nothing to update: set status or actionTaken' });
+    }
+    if (updates.actionTaken && updates.actionTaken.length > ACTION_TAKEN_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Action taken cannot exceed ${ACTION_TAKEN_MAX_LENGTH} characters`
+      });
+    }
+
+    const doc = await findScopedSuggestion(req);
+    if (!doc) return res.status(404).json({ success: false, message: 'Suggestion not found' });
+
+    // Status changes must follow the configured workflow
+    if (updates.status !== undefined) {
+      const transitionError = await SuggestionStatus.checkTransition(doc.status, updates.status);
+      if (transitionError) return res.status(400).json({ success: false, message: transitionError });
+    }
+
+    const changed = doc.applyUpdates(updates, req.user);
+    await doc.save();
+    await notifySuggestionUpdate(doc, changed, req.user);
+    res.json({ success: true, suggestion: doc.toAdminJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update suggestion', error: error.message });
+  }
+});
+
+module.exports = {
+  listDepartmentSuggestions,
+  getDepartmentSuggestion,
+  updateDepartmentSuggestion
+};
@@ -1,4 +1,6 @@
 const FacultyForm = require('../models/facultyForm.model');
+const { config } = require('../config');
+const { notifyFacultyFormApproved } = require('../services/notifications');
 
 // @desc    Create a new faculty form
 // @route   POST /api/faculty-forms
@@ -42,7 +44,7 @@ const createFacultyForm = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -131,7 +133,7 @@ const getFacultyForms = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -171,7 +173,7 @@ const getFacultyFormById = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -251,7 +253,7 @@ const updateFacultyForm = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -291,7 +293,7 @@ const deleteFacultyForm = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -389,7 +391,7 @@ const getFacultyAnalytics = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
@@ -421,6 +423,7 @@ const approveFacultyForm = async (req, res) => {
     }
 
     await facultyForm.approve(reviewerId, comments);
+    await notifyFacultyFormApproved(facultyForm, req.user);
 
     res.status(200).json({
       success: true,
@@ -432,7 +435,7 @@ const approveFacultyForm = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 };
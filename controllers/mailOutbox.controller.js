@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { MailOutbox, MAIL_OUTBOX_STATUSES } = require('../models/MailOutbox');
+
+// @desc    Queued and sent emails, newest first, with counts per status
+// @route   GET /api/admin/mail/outbox
+// @access  Private/Admin
+const listMailOutbox = asyncHandler(async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
+    const skip = (page - 1) * limit;
+
+    const { status, event, to } = req.query;
+    if (status && !MAIL_OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${MAIL_OUTBOX_STATUSES.join(', ')}` });
+    }
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = String(event);
+    if (to) filter.to = String(to).trim().toLowerCase();
+
+    const [items, total, byStatus] = await Promise.all([
+      MailOutbox.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      MailOutbox.countDocuments(filter),
+      MailOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    const counts = Object.fromEntries(MAIL_OUTBOX_STATUSES.map((key) => [key, 0]));
+    byStatus.forEach((row) => {
+      counts[row._id] = row.count;
+    });
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      counts,
+      messages: items.map((item) => item.toAdminJSON())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch mail outbox', error: error.message });
+  }
+});
+
+// @desc    Send a failed (or waiting) email again now, with a fresh set of attempts
+// @route   POST /api/admin/mail/outbox/:id/retry
+// @access  Private/Admin
+const retryMailOutbox = asyncHandler(async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid message id' });
+    }
+    const message = await MailOutbox.findById(req.params.id);
+    if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
+    if (!['failed', 'pending'].includes(message.status)) {
+      return res.status(409).json({ success: false, message: `A ${message.status} message cannot be retried` });
+    }
+
+    await message.requeue();
+    res.json({ success: true, message: message.toAdminJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to retry message', error: error.message });
+  }
+});
+
+module.exports = {
+  listMailOutbox,
+  retryMailOutbox
+};
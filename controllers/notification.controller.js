@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { Notification } = require('../models/Notification');
+
+// @desc    Notifications of the signed-in user, newest first (unread=true for unread only)
+// @route   GET /api/notifications
+// @access  Private
+const listNotifications = asyncHandler(async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user.id };
+    if (String(req.query.unread) === 'true') filter.readAt = null;
+
+    const [items, total, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(filter),
+      Notification.unreadCount(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      unreadCount,
+      notifications: items.map((item) => item.toClientJSON())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch notifications', error: error.message });
+  }
+});
+
+// @desc    Number of unread notifications, for the badge in the header
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = asyncHandler(async (req, res) => {
+  try {
+    res.json({ success: true, unreadCount: await Notification.unreadCount(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to count notifications', error: error.message });
+  }
+});
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = asyncHandler(async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification id' });
+    }
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+    if (!notification) return res.status(404).json({ success: false, message: 'Notification not found' });
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+    res.json({
+      success: true,
+      notification: notification.toClientJSON(),
+      unreadCount: await Notification.unreadCount(req.user.id)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update notification', error: error.message });
+  }
+});
+
+// @desc    Mark all notifications of the signed-in user as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ recipient: req.user.id, readAt: null }, { readAt: new Date() });
+    res.json({ success: true, updated: result.modifiedCount, unreadCount: 0 });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update notifications', error: error.message });
+  }
+});
+
+module.exports = {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+};
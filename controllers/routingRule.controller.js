@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const RoutingRule = require('../models/RoutingRule');
+const { Department } = require('../models/Department');
+const { Suggestion } = require('../models/Suggestion');
+const { SuggestionCategory } = require('../models/SuggestionCategory');
+
+const DRY_RUN_MAX = 1000;
+
+function toStringList(input) {
+  if (input === undefined || input === null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// Validate a rule payload; returns { data } or { error }
+async function parseRulePayload(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Rule name is required' };
+    data.name = name;
+  }
+
+  if (!partial || body.department !== undefined) {
+    if (!mongoose.isValidObjectId(body.department)) return { error: 'A valid department id is required' };
+    const department = await Department.findById(body.department);
+    if (!department) return { error: 'Department not found' };
+    data.department = department._id;
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (!Number.isFinite(priority)) return { error: 'priority must be a number' };
+    data.priority = priority;
+  }
+  if (body.isActive !== undefined) data.isActive = body.isActive !== false && body.isActive !== 'false';
+
+  if (!partial || body.conditions !== undefined) {
+    const conditions = body.conditions || {};
+    const categories = toStringList(conditions.categories);
+    const knownCategories = await SuggestionCategory.distinct('key');
+    const invalidCategory = categories.find((category) => !knownCategories.includes(category));
+    if (invalidCategory) return { error: `Invalid category "${invalidCategory}". Allowed: ${knownCategories.join(', ')}` };
+
+    const campuses = toStringList(conditions.campuses);
+    if (campuses.some((campus) => !mongoose.isValidObjectId(campus))) return { error: 'Invalid campus id in conditions' };
+
+    const keywordMatch = conditions.keywordMatch || 'any';
+    if (!['any', 'all'].includes(keywordMatch)) return { error: 'keywordMatch must be "any" or "all"' };
+
+    data.conditions = { categories, keywords: toStringList(conditions.keywords), keywordMatch, campuses };
+    if (!categories.length && !data.conditions.keywords.length && !campuses.length) {
+      return { error: 'A rule needs at least one category, keyword or campus condition' };
+    }
+  }
+
+  return { data };
+}
+
+// @desc    List routing rules in evaluation order
+// @route   GET /api/admin/routing-rules
+// @access  Private/Admin
+const listRoutingRules = asyncHandler(async (req, res) => {
+  try {
+    const rules = await RoutingRule.find()
+      .sort({ priority: 1, createdAt: 1 })
+      .populate('department', 'name isActive');
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch routing rules', error: error.message });
+  }
+});
+
+// @desc    Create a routing rule
+// @route   POST /api/admin/routing-rules
+// @access  Private/Admin
+const createRoutingRule = asyncHandler(async (req, res) => {
+  try {
+    const { data, error } = await parseRulePayload(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const rule = await RoutingRule.create({ ...data, createdBy: req.user.id });
+    await rule.populate('department', 'name isActive');
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to create routing rule', error: error.message });
+  }
+});
+
+// @desc    Update a routing rule
+// @route   PUT /api/admin/routing-rules/:id
+// @access  Private/Admin
+const updateRoutingRule = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid routing rule id' });
+    }
+
+    const { data, error } = await parseRulePayload(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const rule = await RoutingRule.findByIdAndUpdate(id, data, { new: true, runValidators: true })
+      .populate('department', 'name isActive');
+    if (!rule) return res.status(404).json({ success: false, message: 'Routing rule not found' });
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update routing rule', error: error.message });
+  }
+});
+
+// @desc    Delete a routing rule
+// @route   DELETE /api/admin/routing-rules/:id
+// @access  Private/Admin
+const deleteRoutingRule = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid routing rule id' });
+    }
+
+    const rule = await RoutingRule.findByIdAndDelete(id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Routing rule not found' });
+
+    res.json({ success: true, message: 'Routing rule deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete routing rule', error: error.message });
+  }
+});
+
+// @desc    Test routing rules against existing suggestions without changing them.
+//          Uses the active rules, or only the unsaved `rule` from the body when given.
+// @route   POST /api/admin/routing-rules/dry-run
+// @access  Private/Admin
+const dryRunRoutingRules = asyncHandler(async (req, res) => {
+  try {
+    const { rule: candidate, category, status, from, to } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit || '200', 10), 1), DRY_RUN_MAX);
+
+    let rules;
+    if (candidate) {
+      const { data, error } = await parseRulePayload(candidate);
+      if (error) return res.status(400).json({ success: false, message: error });
+      const draft = new RoutingRule(data);
+      await draft.populate('department', 'name isActive');
+      rules = await RoutingRule.attachCampusScopes([draft]);
+    } else {
+      rules = await RoutingRule.loadActive();
+    }
+
+    const filter = {};
+    if (category) filter.category = String(category);
+    if (status) filter.status = String(status);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const suggestions = await Suggestion.find(filter)
+      .select('category description campus department assignedDepartment status createdAt')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    const results = suggestions.map((suggestion) => {
+      const match = RoutingRule.findMatch(rules, suggestion);
+      const proposedDepartment = match ? match.department.name : null;
+      return {
+        id: suggestion._id,
+        category: suggestion.category,
+        status: suggestion.status,
+        currentDepartment: suggestion.assignedDepartment,
+        proposedDepartment,
+        rule: match ? { id: match._id, name: match.name } : null,
+        changed: Boolean(match) && String(match.department._id) !== String(suggestion.department || '')
+      };
+    });
+
+    res.json({
+      success: true,
+      evaluated: results.length,
+      matched: results.filter((r) => r.rule).length,
+      changed: results.filter((r) => r.changed).length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to dry-run routing rules', error: error.message });
+  }
+});
+
+module.exports = {
+  listRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  dryRunRoutingRules
+};
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { SuggestionCategory, CATEGORY_KEY_PATTERN } = require('../models/SuggestionCategory');
+const { SuggestionStatus, STATUS_KEY_PATTERN } = require('../models/SuggestionStatus');
+const { Suggestion } = require('../models/Suggestion');
+const { Department } = require('../models/Department');
+
+function parseLabels(labels, { partial }) {
+  if (labels === undefined && partial) return { labels: undefined };
+  const en = String(labels?.en || '').trim();
+  if (!en) return { error: 'labels.en is required' };
+  return { labels: { en, ne: String(labels?.ne || '').trim() } };
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true';
+}
+
+// Validate a category payload; returns { data } or { error }
+async function parseCategoryPayload(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial) {
+    const key = String(body.key || '').trim().toLowerCase();
+    if (!CATEGORY_KEY_PATTERN.test(key)) {
+      return { error: 'key must be 2-40 lowercase letters, digits, "-" or "_"' };
+    }
+    data.key = key;
+  }
+
+  const { labels, error } = parseLabels(body.labels, { partial });
+  if (error) return { error };
+  if (labels) data.labels = labels;
+
+  if (body.description !== undefined) data.description = String(body.description || '').trim();
+  if (body.isActive !== undefined) data.isActive = parseBoolean(body.isActive);
+  if (body.sortOrder !== undefined) {
+    if (!Number.isFinite(Number(body.sortOrder))) return { error: 'sortOrder must be a number' };
+    data.sortOrder = Number(body.sortOrder);
+  }
+
+  if (body.defaultDepartment !== undefined) {
+    if (!body.defaultDepartment) {
+      data.defaultDepartment = null;
+    } else {
+      if (!mongoose.isValidObjectId(body.defaultDepartment)) return { error: 'Invalid defaultDepartment id' };
+      const department = await Department.findById(body.defaultDepartment);
+      if (!department) return { error: 'Default department not found' };
+      data.defaultDepartment = department._id;
+    }
+  }
+
+  return { data };
+}
+
+// Validate a status payload; returns { data } or { error }
+async function parseStatusPayload(body, { partial = false, key } = {}) {
+  const data = {};
+
+  if (!partial) {
+    const statusKey = String(body.key || '').trim();
+    if (!STATUS_KEY_PATTERN.test(statusKey)) {
+      return { error: 'key must be 2-40 characters: letters, digits, spaces, "-" or "_", starting with a letter' };
+    }
+    data.key = statusKey;
+  }
+
+  const { labels, error } = parseLabels(body.labels, { partial });
+  if (error) return { error };
+  if (labels) data.labels = labels;
+
+  if (body.isInitial !== undefined) data.isInitial = parseBoolean(body.isInitial);
+  if (body.isFinal !== undefined) data.isFinal = parseBoolean(body.isFinal);
+  if (body.isActive !== undefined) data.isActive = parseBoolean(body.isActive);
+  if (body.sortOrder !== undefined) {
+    if (!Number.isFinite(Number(body.sortOrder))) return { error: 'sortOrder must be a number' };
+    data.sortOrder = Number(body.sortOrder);
+  }
+
+  if (body.transitions !== undefined) {
+    if (!Array.isArray(body.transitions)) return { error: 'transitions must be an array of status keys' };
+    const transitions = [...new Set(body.transitions.map((item) => String(item).trim()))];
+    const ownKey = key || data.key;
+    if (transitions.includes(ownKey)) return { error: 'A status cannot transition to itself' };
+    const known = await SuggestionStatus.find({ key: { $in: transitions } }).distinct('key');
+    const unknown = transitions.find((item) => !known.includes(item));
+    if (unknown) return { error: `Unknown status in transitions: ${unknown}` };
+    data.transitions = transitions;
+  }
+
+  return { data };
+}
+
+function handleDuplicateKey(error, res, label) {
+  if (error.code === 11000) {
+    res.status(409).json({ success: false, message: `A ${label} with this key already exists` });
+    return true;
+  }
+  return false;
+}
+
+// @desc    List active categories for the suggestion form
+// @route   GET /api/suggestion-categories
+// @access  Public
+const listPublicCategories = asyncHandler(async (req, res) => {
+  try {
+    const categories = await SuggestionCategory.listActive().select('key labels description');
+    res.json({ success: true, categories });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// @desc    List active statuses with their labels
+// @route   GET /api/suggestion-statuses
+// @access  Public
+const listPublicStatuses = asyncHandler(async (req, res) => {
+  try {
+    const { statuses } = await SuggestionStatus.getWorkflow();
+    res.json({
+      success: true,
+      statuses: statuses.map(({ key, labels, isFinal }) => ({ key, labels, isFinal }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch statuses', error: error.message });
+  }
+});
+
+// @desc    List all categories, including inactive ones
+// @route   GET /api/admin/suggestion-categories
+// @access  Private/Admin
+const listCategories = asyncHandler(async (req, res) => {
+  try {
+    const categories = await SuggestionCategory.find()
+      .sort({ sortOrder: 1, key: 1 })
+      .populate('defaultDepartment', 'name isActive');
+    res.json({ success: true, categories });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// @desc    Create a category
+// @route   POST /api/admin/suggestion-categories
+// @access  Private/Admin
+const createCategory = asyncHandler(async (req, res) => {
+  try {
+    const { data, error } = await parseCategoryPayload(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const category = await SuggestionCategory.create(data);
+    res.status(201).json({ success: true, category });
+  } catch (error) {
+    if (handleDuplicateKey(error, res, 'category')) return;
+    res.status(500).json({ success: false, message: 'Failed to create category', error: error.message });
+  }
+});
+
+// @desc    Update a category (the key cannot change)
+// @route   PUT /api/admin/suggestion-categories/:key
+// @access  Private/Admin
+const updateCategory = asyncHandler(async (req, res) => {
+  try {
+    const { data, error } = await parseCategoryPayload(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const category = await SuggestionCategory.findOneAndUpdate({ key: req.params.key }, data, { new: true, runValidators: true })
+      .populate('defaultDepartment', 'name isActive');
+    if (!category) return res.status(404).json({ success: false, message: 'Category not found' });
+
+    res.json({ success: true, category });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update category', error: error.message });
+  }
+});
+
+// @desc    Delete a category, or deactivate it when suggestions still use it
+// @route   DELETE /api/admin/suggestion-categories/:key
+// @access  Private/Admin
+const deleteCategory = asyncHandler(async (req, res) => {
+  try {
+    const category = await SuggestionCategory.findOne({ key: req.params.key });
+    if (!category) return res.status(404).json({ success: false, message: 'Category not found' });
+
+    const inUse = await Suggestion.countDocuments({ category: category.key });
+    if (inUse > 0) {
+      category.isActive = false;
+      await category.save();
+      return res.json({ success: true, message: `Category deactivated (used by ${inUse} suggestions)`, category });
+    }
+
+    await category.deleteOne();
+    res.json({ success: true, message: 'Category deleted permanently' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete category', error: error.message });
+  }
+});
+
+// @desc    List the status workflow, including inactive statuses
+// @route   GET /api/admin/suggestion-statuses
+// @access  Private/Admin
+const listStatuses = asyncHandler(async (req, res) => {
+  try {
+    const statuses = await SuggestionStatus.find().sort({ sortOrder: 1, key: 1 });
+    res.json({ success: true, statuses });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch statuses', error: error.message });
+  }
+});
+
+// @desc    Create a status
+// @route   POST /api/admin/suggestion-statuses
+// @access  Private/Admin
+const createStatus = asyncHandler(async (req, res) => {
+  try {
+    const { data, error } = await parseStatusPayload(req.body || {});
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const status = await SuggestionStatus.create(data);
+    // Only one status can be initial
+    if (status.isInitial) {
+      await SuggestionStatus.updateMany({ _id: { $ne: status._id } }, { isInitial: false });
+    }
+    res.status(201).json({ success: true, status });
+  } catch (error) {
+    if (handleDuplicateKey(error, res, 'status')) return;
+    res.status(500).json({ success: false, message: 'Failed to create status', error: error.message });
+  }
+});
+
+// @desc    Update a status (the key cannot change)
+// @route   PUT /api/admin/suggestion-statuses/:key
+// @access  Private/Admin
+const updateStatus = asyncHandler(async (req, res) => {
+  try {
+    const status = await SuggestionStatus.findOne({ key: req.params.key });
+    if (!status) return res.status(404).json({ success: false, message: 'Status not found' });
+
+    const { data, error } = await parseStatusPayload(req.body || {}, { partial: true, key: status.key });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (status.isInitial && (data.isInitial === false || data.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The workflow needs an initial status; mark another status as initial first'
+      });
+    }
+
+    Object.assign(status, data);
+    await status.save();
+    if (data.isInitial) {
+      await SuggestionStatus.updateMany({ _id: { $ne: status._id } }, { isInitial: false });
+    }
+    res.json({ success: true, status });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update status', error: error.message });
+  }
+});
+
+// @desc    Delete a status, or deactivate it when suggestions still use it
+// @route   DELETE /api/admin/suggestion-statuses/:key
+// @access  Private/Admin
+const deleteStatus = asyncHandler(async (req, res) => {
+  try {
+    const status = await SuggestionStatus.findOne({ key: req.params.key });
+    if (!status) return res.status(404).json({ success: false, message: 'Status not found' });
+    if (status.isInitial) {
+      return res.status(400).json({ success: false, message: 'The initial status cannot be removed' });
+    }
+
+    const inUse = await Suggestion.countDocuments({ status: status.key });
+    if (inUse > 0) {
+      status.isActive = false;
+      await status.save();
+      return res.json({ success: true, message: `Status deactivated (used by ${inUse} suggestions)`, status });
+    }
+
+    await status.deleteOne();
+    await SuggestionStatus.updateMany({ transitions: status.key }, { $pull: { transitions: status.key } });
+    res.json({ success: true, message: 'Status deleted permanently' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete status', error: error.message });
+  }
+});
+
+module.exports = {
+  listPublicCategories,
+  listPublicStatuses,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  listStatuses,
+  createStatus,
+  updateStatus,
+  deleteStatus
+};
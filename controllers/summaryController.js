@@ -3,18 +3,18 @@ const fs = require('fs-extra');
 const path = require('path');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 const fetch = global.fetch || require('node-fetch');
+const { config } = require('../config');
 
-const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, '..', 'generated');
+const OUTPUT_DIR = config.outputDir;
 fs.ensureDirSync(OUTPUT_DIR);
 
 // 🧠 Helper: Call Groq LLaMA 3.1 API
 async function callLLM(prompt) {
-  const url = process.env.LLAMA_API_URL;
-  const apiKey = process.env.LLAMA_API_KEY;
+  const { url, apiKey, model } = config.llm;
   if (!url || !apiKey) throw new Error("Groq API URL or API key missing");
 
   const body = {
-    model: "llama-3.1-8b-instant",
+    model,
     messages: [
       { role: "system", content: "You are an expert academic report writer." },
       { role: "user", content: prompt },
@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const SurveyReport = require('../models/surveyReport.model');
+const { notifySurveyReportReview } = require('../services/notifications');
 const fs = require('fs');
 
 const isAdminRequest = (req) => Boolean(req.user && req.user.role === 'admin');
@@ -408,6 +409,8 @@ const approveSurveyReport = asyncHandler(async (req, res) => {
       });
     }
 
+    await notifySurveyReportReview(report, req.user);
+
     res.status(200).json({
       success: true,
       data: report,
@@ -447,6 +450,8 @@ const rejectSurveyReport = asyncHandler(async (req, res) => {
       });
     }
 
+    await notifySurveyReportReview(report, req.user);
+
     res.status(200).json({
       success: true,
       data: report,
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const asyncHandler = require('express-async-handler');
+const { User, ROLES, LOCALES } = require('../models/User');
+const { Department } = require('../models/Department');
+const { Invitation, INVITATION_STATUSES } = require('../models/Invitation');
+const { RoleChange } = require('../models/RoleChange');
+const { Session } = require('../models/Session');
+const { sendTemplate } = require('../services/mail');
+const { config } = require('../config');
+
+const INVITATION_TOKEN_PURPOSE = 'user-invitation';
+const INVITATION_TTL_HOURS = config.jwt.invitationTtlHours;
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(String(nonce)).digest('hex');
+}
+
+function signInvitationToken(invitation, nonce) {
+  return jwt.sign(
+    { sub: invitation._id.toString(), nonce, purpose: INVITATION_TOKEN_PURPOSE },
+    config.jwt.secret,
+    { expiresIn: `${INVITATION_TTL_HOURS}h` }
+  );
+}
+
+async function recordRoleChange({ user, fromRole, toRole, source, changedBy, reason, invitation }) {
+  return RoleChange.create({
+    user,
+    fromRole: fromRole || null,
+    toRole,
+    source,
+    changedBy: changedBy || null,
+    reason,
+    invitation: invitation || null
+  });
+}
+
+// @desc    List users with their roles
+// @route   GET /api/admin/users
+// @access  Private/Admin
+const listUsers = asyncHandler(async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 100);
+    const skip = (page - 1) * limit;
+    const { role, q } = req.query;
+
+    const filter = {};
+    if (role && ROLES.includes(role)) filter.role = role;
+    if (req.query.department && mongoose.isValidObjectId(req.query.department)) {
+      filter.departments = req.query.department;
+    }
+    if (q) {
+      const escaped = String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { name: { $regex: escaped, $options: 'i' } },
+        { email: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('departments', 'name isActive'),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      users: users.map((u) => u.toSafeJSON())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch users', error: error.message });
+  }
+});
+
+// @desc    Promote or demote a user
+// @route   PATCH /api/admin/users/:id/role
+// @access  Private/Admin
+const updateUserRole = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, reason } = req.body || {};
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed: ${ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.role === role) {
+      return res.status(400).json({ success: false, message: `User already has role ${role}` });
+    }
+
+    // Never leave the system without an administrator
+    if (user.role === 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(409).json({ success: false, message: 'Cannot demote the last admin' });
+      }
+    }
+
+    const fromRole = user.role;
+    const updated = await User.findOneAndUpdate(
+      { _id: id, role: fromRole },
+      { role },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'User role changed concurrently, please retry' });
+    }
+
+    // Admins demoting each other at the same moment both pass the check above; count
+    // again after the write and undo the demotion if no admin is left
+    if (fromRole === 'admin' && !(await User.exists({ role: 'admin' }))) {
+      await User.updateOne({ _id: id, role }, { role: fromRole });
+      return res.status(409).json({ success: false, message: 'Cannot demote the last admin' });
+    }
+
+    // Access tokens embed the role, so force the user to sign in again
+    await Session.revoke({ user: updated._id }, 'role-changed');
+
+    const change = await recordRoleChange({
+      user: updated._id,
+      fromRole,
+      toRole: role,
+      source: 'admin',
+      changedBy: req.user.id,
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${fromRole} to ${role}`,
+      user: updated.toSafeJSON(),
+      roleChange: change
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update role', error: error.message });
+  }
+});
+
+// @desc    Set the departments whose inbox a user works
+// @route   PUT /api/admin/users/:id/departments
+// @access  Private/Admin
+const updateUserDepartments = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { departments } = req.body || {};
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+    if (!Array.isArray(departments) || departments.some((item) => !mongoose.isValidObjectId(item))) {
+      return res.status(400).json({ success: false, message: 'departments must be an array of department ids' });
+    }
+
+    const ids = [...new Set(departments.map(String))];
+    const found = await Department.countDocuments({ _id: { $in: ids } });
+    if (found !== ids.length) {
+      return res.status(400).json({ success: false, message: 'One or more departments were not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { departments: ids }, { new: true })
+      .populate('departments', 'name isActive');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Departments updated',
+      user: user.toSafeJSON()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update departments', error: error.message });
+  }
+});
+
+// @desc    Role change history of a user
+// @route   GET /api/admin/users/:id/role-history
+// @access  Private/Admin
+const getRoleHistory = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+
+    const history = await RoleChange.find({ user: id })
+      .sort({ createdAt: -1 })
+      .populate('changedBy', 'name email');
+
+    res.json({ success: true, history });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch role history', error: error.message });
+  }
+});
+
+// Email the invitation link. Sent directly rather than through the outbox, so the
+// token is never stored.
+async function sendInvitationEmail(invitation, token, { locale, invitedBy }) {
+  return sendTemplate({
+    to: invitation.email,
+    template: 'invitation',
+    locale,
+    data: {
+      name: invitation.name,
+      role: invitation.role,
+      invitedBy,
+      ttlHours: INVITATION_TTL_HOURS,
+      link: `${config.appBaseUrl}/accept-invitation?token=${encodeURIComponent(token)}`
+    }
+  });
+}
+
+// @desc    Invite a user by email with a pre-assigned role
+// @route   POST /api/admin/invitations
+// @access  Private/Admin
+const createInvitation = asyncHandler(async (req, res) => {
+  try {
+    const email = String(req.body?.email || '').trim().toLowerCase();
+    const { role, name, locale } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed: ${ROLES.join(', ')}` });
+    }
+    if (locale && !LOCALES.includes(locale)) {
+      return res.status(400).json({ success: false, message: `locale must be one of: ${LOCALES.join(', ')}` });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists. Change their role instead.'
+      });
+    }
+
+    // Only one open invitation per email
+    await Invitation.updateMany({ email, status: 'pending' }, { status: 'revoked' });
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const invitation = await Invitation.create({
+      email,
+      role,
+      name,
+      tokenHash: hashNonce(nonce),
+      expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000),
+      invitedBy: req.user.id
+    });
+
+    const inviter = await User.findById(req.user.id).select('name');
+    try {
+      await sendInvitationEmail(invitation, signInvitationToken(invitation, nonce), { locale, invitedBy: inviter?.name });
+    } catch (mailErr) {
+      // An invitation nobody received cannot be accepted; revoke it so it can be sent again
+      invitation.status = 'revoked';
+      await invitation.save();
+      return res.status(502).json({ success: false, message: 'Failed to send invitation email', error: mailErr.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      invitation: invitation.toSafeJSON()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to create invitation', error: error.message });
+  }
+});
+
+// @desc    List invitations
+// @route   GET /api/admin/invitations
+// @access  Private/Admin
+const listInvitations = asyncHandler(async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status && INVITATION_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'name email');
+
+    res.json({ success: true, invitations: invitations.map((i) => i.toSafeJSON()) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch invitations', error: error.message });
+  }
+});
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private/Admin
+const revokeInvitation = asyncHandler(async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, message: 'Invalid invitation id' });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Pending invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked', invitation: invitation.toSafeJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to revoke invitation', error: error.message });
+  }
+});
+
+// @desc    Accept an invitation and create the invited account
+// @route   POST /api/auth/invitations/accept
+// @access  Public (requires a valid invitation token)
+const acceptInvitation = asyncHandler(async (req, res) => {
+  try {
+    const { token, name, password } = req.body || {};
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'token and password are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwt.secret);
+    } catch (_) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired invitation token' });
+    }
+    if (decoded.purpose !== INVITATION_TOKEN_PURPOSE || !mongoose.isValidObjectId(decoded.sub)) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired invitation token' });
+    }
+
+    const pendingQuery = {
+      _id: decoded.sub,
+      tokenHash: hashNonce(decoded.nonce),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    };
+
+    const pending = await Invitation.findOne(pendingQuery);
+    if (!pending) {
+      return res.status(400).json({ success: false, message: 'Invitation is no longer valid' });
+    }
+    const accountName = String(name || pending.name || '').trim();
+    if (accountName.length < 2 || String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'name (min 2 characters) and password (min 6 characters) are required'
+      });
+    }
+    const existing = await User.findOne({ email: pending.email });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'Email already registered' });
+    }
+
+    // Claim the invitation atomically so the token can only be used once
+    const invitation = await Invitation.findOneAndUpdate(
+      pendingQuery,
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(400).json({ success: false, message: 'Invitation is no longer valid' });
+    }
+
+    const hash = await bcrypt.hash(password, 10);
+    // The token arrived by email, so accepting it proves ownership of the address
+    const user = await User.create({
+      name: accountName,
+      email: invitation.email,
+      password: hash,
+      role: invitation.role,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    await recordRoleChange({
+      user: user._id,
+      toRole: invitation.role,
+      source: 'invitation',
+      changedBy: invitation.invitedBy,
+      invitation: invitation._id
+    });
+
+    res.status(201).json({ success: true, message: 'Invitation accepted. Please log in.', user: user.toSafeJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to accept invitation', error: error.message });
+  }
+});
+
+module.exports = {
+  listUsers,
+  updateUserRole,
+  updateUserDepartments,
+  getRoleHistory,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -2,12 +2,13 @@
 const bcrypt = require('bcryptjs');
 const { User } = require('./models/User'); // Adjust path to your User model
 const mongoose = require('mongoose');
+const { config } = require('./config');
 require('dotenv').config(); // Load environment variables
 
 async function createAdmin() {
   try {
     // Connect to your database (use the same connection as your main app)
-    await mongoose.connect(process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/your-db-name');
+    await mongoose.connect(config.mongoUri);
     
     const adminEmail = 'admin@yourapp.com'; // Change this to your desired admin email
     const adminPassword = 'Admin123!'; // Change this to a secure password
@@ -0,0 +1,56 @@
+const Donor = require('../models/doner.model');
+const { mailDonorAnniversary } = require('../services/mailEvents');
+const { config } = require('../config');
+
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Queue the anniversary email for donors whose agreement was signed on this day
+ * (UTC) in an earlier year. Agreements from 29 February are remembered on
+ * 28 February in other years. The outbox dedupe key keeps this to one email per
+ * donor and year, however often it runs.
+ */
+async function queueDonorAnniversaries(now = new Date()) {
+  const month = now.getUTCMonth() + 1;
+  const day = now.getUTCDate();
+  const days = month === 2 && day === 28 && !isLeapYear(now.getUTCFullYear()) ? [28, 29] : [day];
+  const startOfYear = new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+
+  const donors = await Donor.find({
+    agreementDate: { $lt: startOfYear },
+    donorEmail: { $nin: [null, ''] },
+    $expr: {
+      $and: [
+        { $eq: [{ $month: '$agreementDate' }, month] },
+        { $in: [{ $dayOfMonth: '$agreementDate' }, days] }
+      ]
+    }
+  }).select('donorName donorEmail fundOfficialName relatedDepart agreementDate');
+
+  let queued = 0;
+  for (const donor of donors) {
+    if (await mailDonorAnniversary(donor, now)) queued += 1;
+  }
+  return { matched: donors.length, queued };
+}
+
+function startDonorAnniversaryJob() {
+  if (!config.donors.anniversaryJobEnabled) return null;
+
+  const run = () => queueDonorAnniversaries()
+    .then(({ queued }) => {
+      if (queued) console.log(`[donors] Queued ${queued} agreement anniversary email(s)`);
+    })
+    .catch((err) => console.error('[donors] Anniversary run failed:', err.message));
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = { queueDonorAnniversaries, startDonorAnniversaryJob };
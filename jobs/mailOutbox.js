@@ -0,0 +1,66 @@
+const { MailOutbox } = require('../models/MailOutbox');
+const { getMailer } = require('../config/mailer');
+const { config } = require('../config');
+
+const BATCH_SIZE = 50;
+// A message still "sending" after this long belongs to a process that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Send due outbox messages. Failures are retried with exponential backoff
+ * (MAIL_OUTBOX_RETRY_BASE_SECONDS, doubled per attempt) until MAIL_OUTBOX_MAX_ATTEMPTS,
+ * then the message is marked failed. Safe to run from several processes at once.
+ */
+async function processMailOutbox({ now = new Date(), limit = BATCH_SIZE, mailer = getMailer() } = {}) {
+  await MailOutbox.releaseStale(new Date(now.getTime() - STALE_LOCK_MS));
+
+  let sent = 0;
+  let retrying = 0;
+  let failed = 0;
+  for (let i = 0; i < limit; i += 1) {
+    const message = await MailOutbox.claimNext(now);
+    if (!message) break;
+
+    try {
+      const info = await mailer.send({ to: message.to, subject: message.subject, text: message.text, html: message.html || undefined });
+      await message.markSent(info);
+      sent += 1;
+    } catch (err) {
+      await message.markFailed(err, config.mail.outbox);
+      if (message.status === 'failed') {
+        failed += 1;
+        console.error(`[mail] Giving up on ${message.event || message.template} email ${message._id} after ${message.attempts} attempt(s):`, err.message);
+      } else {
+        retrying += 1;
+      }
+    }
+  }
+
+  return { sent, retrying, failed };
+}
+
+function startMailOutboxJob() {
+  if (!config.mail.outbox.enabled) return null;
+
+  let running = false;
+  const run = () => {
+    // Skip a tick while the previous run is still sending
+    if (running) return;
+    running = true;
+    processMailOutbox()
+      .then(({ sent, retrying, failed }) => {
+        if (sent || retrying || failed) console.log(`[mail] Outbox: ${sent} sent, ${retrying} to retry, ${failed} failed`);
+      })
+      .catch((err) => console.error('[mail] Outbox run failed:', err.message))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, config.mail.outbox.intervalSeconds * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = { processMailOutbox, startMailOutboxJob };
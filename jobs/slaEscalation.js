@@ -0,0 +1,64 @@
+const { Suggestion } = require('../models/Suggestion');
+const { Department } = require('../models/Department');
+const { mailSlaEscalation } = require('../services/mailEvents');
+const { config } = require('../config');
+
+const BATCH_SIZE = 200;
+
+/**
+ * Flag open suggestions whose SLA deadline has passed and escalate each one to
+ * its department head by email (queued in the mail outbox). Safe to run from
+ * several processes at once.
+ */
+async function escalateBreachedSuggestions(now = new Date()) {
+  const candidates = await Suggestion.find({
+    resolvedAt: null,
+    'sla.dueAt': { $ne: null, $lte: now },
+    'sla.breachedAt': null
+  })
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  let breached = 0;
+  let escalated = 0;
+  for (const { _id } of candidates) {
+    // Claim the suggestion atomically so it is escalated only once
+    const doc = await Suggestion.findOneAndUpdate(
+      { _id, resolvedAt: null, 'sla.breachedAt': null },
+      { 'sla.breachedAt': now },
+      { new: true }
+    );
+    if (!doc) continue;
+    breached += 1;
+
+    const department = doc.department ? await Department.findById(doc.department) : null;
+    const to = department?.email || null;
+    doc.recordEvent('sla_breached', { field: 'sla', from: doc.sla.dueAt.toISOString(), to }, null);
+
+    if (to && await mailSlaEscalation(doc, department)) {
+      doc.sla.escalatedAt = new Date();
+      doc.sla.escalatedTo = to;
+      escalated += 1;
+    }
+    await doc.save();
+  }
+
+  return { checked: candidates.length, breached, escalated };
+}
+
+function startSlaEscalationJob() {
+  if (!config.sla.jobEnabled) return null;
+
+  const run = () => escalateBreachedSuggestions()
+    .then(({ breached, escalated }) => {
+      if (breached) console.log(`[sla] ${breached} suggestion(s) breached SLA, ${escalated} escalated`);
+    })
+    .catch((err) => console.error('[sla] Escalation run failed:', err.message));
+
+  run();
+  const timer = setInterval(run, config.sla.checkIntervalMinutes * 60 * 1000);
+  timer.unref?.();
+  return timer;
+}
+
+module.exports = { escalateBreachedSuggestions, startSlaEscalationJob };
@@ -1,11 +1,12 @@
 // makeRamAdmin.js - Change Ram's role to admin
 const { User } = require('./models/User');
 const mongoose = require('mongoose');
+const { config } = require('./config');
 require('dotenv').config();
 
 async function makeRamAdmin() {
   try {
-    await mongoose.connect(process.env.MONGODB_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/your-db-name');
+    await mongoose.connect(config.mongoUri);
     
     const ramEmail = 'ram12@gmail.com';
     
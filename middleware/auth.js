@@ -1,32 +1,50 @@
+const express = require('express');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Session } = require('../models/Session');
+const { config } = require('../config');
+
+/**
+ * Decode an access token and make sure its server-side session is still active
+ */
+async function resolveAccessToken(token) {
+  const decoded = jwt.verify(token, config.jwt.secret);
+  if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return null;
+
+  const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+  if (!session || !session.isActive() || String(session.user) !== String(decoded.sub)) return null;
+
+  return { id: decoded.sub, role: decoded.role, sessionId: decoded.sid };
+}
 
 /**
  * Verify JWT from Authorization: Bearer &lt;token&gt;
  */
-function verifyJWT(req, res, next) {
+async function verifyJWT(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
     const token = header.startsWith('Bearer ') ? header.slice(7) : null;
     if (!token) return res.status(401).json({ message: 'Unauthorized' });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { id: decoded.sub, role: decoded.role };
-    return next();
+    const user = await resolveAccessToken(token);
+    if (!user) return res.status(401).json({ message: 'Session has been revoked or expired' });
+    req.user = user;
   } catch (err) {
     return res.status(401).json({ message: 'Invalid or expired token' });
   }
+  return next();
 }
 
 /**
  * Optional auth: if token exists, set req.user; else continue as guest
  */
-function optionalAuth(req, res, next) {
+async function optionalAuth(req, res, next) {
   try {
     const header = req.headers['authorization'] || '';
     const token = header.startsWith('Bearer ') ? header.slice(7) : null;
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = { id: decoded.sub, role: decoded.role };
+      const user = await resolveAccessToken(token);
+      if (user) req.user = user;
     }
   } catch (_) {}
   return next();
@@ -43,4 +61,17 @@ function requireRole(...allowed) {
   };
 }
 
-module.exports = { verifyJWT, optionalAuth, requireRole };
\ No newline at end of file
+/**
+ * Build a router that enforces a declarative permission table
+ * (see config/permissions.js). Mount it before the route handlers.
+ */
+function authorize(permissions) {
+  const router = express.Router();
+  permissions.forEach(({ method, path, roles, guard }) => {
+    const handlers = guard ? [guard] : [verifyJWT, requireRole(...roles)];
+    router[method](path, ...handlers);
+  });
+  return router;
+}
+
+module.exports = { verifyJWT, optionalAuth, requireRole, authorize };
\ No newline at end of file
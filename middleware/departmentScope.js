@@ -0,0 +1,30 @@
+const { User } = require('../models/User');
+const { Department } = require('../models/Department');
+
+/**
+ * Load the active departments the signed-in user works into req.departments
+ * ([{ _id, name }]): the ones they are a member of plus everything below them, so
+ * faculty staff see their departments' queues too. Runs after verifyJWT. Membership
+ * is read on every request, so removing someone from a department takes effect
+ * immediately.
+ */
+async function loadDepartmentScope(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id).select('departments');
+    const memberOf = user ? user.departments : [];
+    const departments = memberOf.length
+      ? await Department.find({ $or: [{ _id: { $in: memberOf } }, { ancestors: { $in: memberOf } }], isActive: true })
+        .select('name')
+        .sort({ name: 1 })
+      : [];
+    if (!departments.length) {
+      return res.status(403).json({ success: false, message: 'You are not a member of any active department' });
+    }
+    req.departments = departments;
+  } catch (err) {
+    return res.status(500).json({ success: false, message: 'Failed to load departments', error: err.message });
+  }
+  return next();
+}
+
+module.exports = { loadDepartmentScope };
@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const ProgressReport = require('../models/ProgressReport');
+const { optionalAuth } = require('./auth');
+const { config } = require('../config');
+
+const PROGRESS_VERIFICATION_TOKEN_TTL = '1h';
+const PROGRESS_VERIFICATION_PURPOSE = 'progress-form-otp';
+
+function signProgressVerificationToken(email) {
+  return jwt.sign(
+    { sub: email, email, purpose: PROGRESS_VERIFICATION_PURPOSE },
+    config.progress.jwtSecret,
+    { expiresIn: PROGRESS_VERIFICATION_TOKEN_TTL }
+  );
+}
+
+/**
+ * Return the verified email carried by X-Progress-Verification-Token, or null
+ */
+function readProgressVerificationEmail(req) {
+  const token = req.headers['x-progress-verification-token'];
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, config.progress.jwtSecret);
+    if (decoded.purpose !== PROGRESS_VERIFICATION_PURPOSE || !decoded.email) return null;
+    return String(decoded.email).trim().toLowerCase();
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Guard for progress report writes. Admins pass through; everyone else needs a
+ * verification token from /api/progress/otp/verify, and may only create or edit
+ * reports of a college bound to that same email. The verified email is written
+ * to the report's verificationEmail.
+ */
+async function requireProgressVerification(req, res, next) {
+  try {
+    await new Promise((resolve) => optionalAuth(req, res, resolve));
+    if (req.user && req.user.role === 'admin') return next();
+
+    const email = readProgressVerificationEmail(req);
+    if (!email) {
+      return res.status(401).json({
+        success: false,
+        message: 'Email verification is required to submit progress reports',
+      });
+    }
+
+    const body = req.body || {};
+    let collegeId = body.collegeId;
+
+    if (req.params.id) {
+      const report = mongoose.isValidObjectId(req.params.id)
+        ? await ProgressReport.findById(req.params.id).select('collegeId verificationEmail')
+        : null;
+      if (!report) {
+        return res.status(404).json({ success: false, message: 'Report not found' });
+      }
+      if (report.verificationEmail && report.verificationEmail !== email) {
+        return res.status(403).json({
+          success: false,
+          message: 'This report can only be edited by the email that submitted it',
+        });
+      }
+      // A report stays with its college; only the report's own college is checked below
+      if (collegeId !== undefined && collegeId !== null && collegeId !== '' && String(collegeId).trim() !== String(report.collegeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'collegeId of an existing report cannot be changed',
+        });
+      }
+      collegeId = report.collegeId;
+    }
+
+    if (collegeId) {
+      const ownedElsewhere = await ProgressReport.exists({
+        collegeId,
+        verificationEmail: { $nin: ['', email] },
+      });
+      if (ownedElsewhere) {
+        return res.status(403).json({
+          success: false,
+          message: 'Reports for this college are managed by a different verified email',
+        });
+      }
+    }
+
+    req.body = { ...body, verificationEmail: email };
+    req.progressVerification = { email };
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to check progress verification',
+      error: error.message,
+    });
+  }
+  return next();
+}
+
+module.exports = {
+  requireProgressVerification,
+  signProgressVerificationToken,
+  readProgressVerificationEmail,
+  PROGRESS_VERIFICATION_TOKEN_TTL,
+};
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// Organisational level; faculties group departments, units sit under departments
+const DEPARTMENT_KINDS = ['faculty', 'department', 'unit'];
+
+const SlaOverrideSchema = new mongoose.Schema(
+  {
+    category: { type: String, required: true, trim: true },
+    resolutionHours: { type: Number, required: true, min: 1 }
+  },
+  { _id: false }
+);
+
 const DepartmentSchema = new mongoose.Schema(
   {
     name: { 
@@ -36,6 +47,36 @@ const DepartmentSchema = new mongoose.Schema(
     isActive: { 
       type: Boolean, 
       default: true 
+    },
+    kind: {
+      type: String,
+      enum: DEPARTMENT_KINDS,
+      default: 'department'
+    },
+    // Parent faculty or department; null for top-level units
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department',
+      default: null,
+      index: true
+    },
+    // Path from the top-level unit down to the parent, kept in step with `parent`
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }],
+      default: [],
+      index: true
+    },
+    // Campus this unit belongs to; sub-departments without one inherit their parent's
+    campus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CampusList',
+      default: null,
+      index: true
+    },
+    // Service-level targets for suggestions assigned to this department
+    sla: {
+      resolutionHours: { type: Number, min: 1, default: null },
+      categoryOverrides: { type: [SlaOverrideSchema], default: [] }
     }
   },
   { 
@@ -46,6 +87,100 @@ const DepartmentSchema = new mongoose.Schema(
 // ✅ Keep only this extra index for queries on isActive
 DepartmentSchema.index({ isActive: 1 });
 
+// Resolution target in hours for a suggestion category, or null when no SLA applies
+DepartmentSchema.methods.resolutionHoursFor = function (category) {
+  const override = (this.sla?.categoryOverrides || []).find((item) => item.category === category);
+  if (override) return override.resolutionHours;
+  return this.sla?.resolutionHours || null;
+};
+
+// Recompute the ancestor path when the parent changes
+DepartmentSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('parent')) {
+      const parent = this.parent ? await this.constructor.findById(this.parent).select('ancestors') : null;
+      this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Active department by id, or by exact name for callers that still send names
+DepartmentSchema.statics.findActiveByRef = function (ref) {
+  const value = ref === undefined || ref === null ? '' : String(ref).trim();
+  if (!value) return Promise.resolve(null);
+  return this.findOne({ ...(mongoose.isValidObjectId(value) ? { _id: value } : { name: value }), isActive: true });
+};
+
+/**
+ * Check that `parentId` can become the parent of `department` (an existing document,
+ * or null for a new one). Returns an error message, or null when the move is allowed.
+ */
+DepartmentSchema.statics.checkParent = async function (department, parentId) {
+  if (!parentId) return null;
+  if (!mongoose.isValidObjectId(parentId)) return 'Invalid parent department id';
+  const parent = await this.findById(parentId).select('ancestors');
+  if (!parent) return 'Parent department not found';
+  if (department && (parent._id.equals(department._id) || parent.ancestors.some((id) => id.equals(department._id)))) {
+    return 'A department cannot be moved under itself or one of its sub-departments';
+  }
+  return null;
+};
+
+// After `department` moved, rewrite the ancestor paths of everything below it
+DepartmentSchema.statics.syncDescendants = async function (department) {
+  const descendants = await this.find({ ancestors: department._id }).select('ancestors');
+  if (!descendants.length) return 0;
+  const base = [...department.ancestors, department._id];
+  await this.bulkWrite(descendants.map((item) => {
+    const below = item.ancestors.slice(item.ancestors.findIndex((id) => id.equals(department._id)) + 1);
+    return { updateOne: { filter: { _id: item._id }, update: { ancestors: [...base, ...below] } } };
+  }));
+  return descendants.length;
+};
+
+/**
+ * Load departments (optionally filtered) as a tree for roll-ups. Returns
+ * { departments, byId, childrenOf(id), descendantIds(id), campusOf(id) }, where
+ * descendantIds includes the department itself and campusOf walks up to the nearest
+ * campus link.
+ */
+DepartmentSchema.statics.loadTree = async function (filter = {}) {
+  const departments = await this.find(filter).sort({ name: 1 }).lean();
+  const byId = new Map(departments.map((item) => [String(item._id), item]));
+  const children = new Map();
+  departments.forEach((item) => {
+    const key = item.parent ? String(item.parent) : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(item);
+  });
+
+  const childrenOf = (id) => children.get(id ? String(id) : null) || [];
+  const descendantIds = (id) => {
+    const ids = [];
+    const stack = [String(id)];
+    while (stack.length) {
+      const current = stack.pop();
+      if (!byId.has(current) || ids.includes(current)) continue;
+      ids.push(current);
+      childrenOf(current).forEach((child) => stack.push(String(child._id)));
+    }
+    return ids;
+  };
+  const campusOf = (id) => {
+    let current = byId.get(String(id));
+    while (current) {
+      if (current.campus) return String(current.campus);
+      current = current.parent ? byId.get(String(current.parent)) : null;
+    }
+    return null;
+  };
+
+  return { departments, byId, childrenOf, descendantIds, campusOf };
+};
+
 DepartmentSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.__v;
@@ -53,5 +188,6 @@ DepartmentSchema.methods.toJSON = function () {
 };
 
 module.exports = {
-  Department: mongoose.model('Department', DepartmentSchema)
+  Department: mongoose.model('Department', DepartmentSchema),
+  DEPARTMENT_KINDS
 };
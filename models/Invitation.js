@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./User');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'revoked'];
+
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, lowercase: true, trim: true, index: true },
+    role: { type: String, enum: ROLES, required: true },
+    name: { type: String, trim: true, maxlength: 100 },
+    // sha256 of the one-time nonce embedded in the signed invitation token
+    tokenHash: { type: String, required: true },
+    status: { type: String, enum: INVITATION_STATUSES, default: 'pending', index: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    acceptedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+InvitationSchema.index({ createdAt: -1 });
+
+InvitationSchema.methods.toSafeJSON = function () {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = {
+  Invitation: mongoose.model('Invitation', InvitationSchema),
+  INVITATION_STATUSES
+};
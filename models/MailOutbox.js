@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const MAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Retry delays double from MAIL_OUTBOX_RETRY_BASE_SECONDS up to this cap
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Sent messages are dropped after this many days; failed ones stay for inspection
+const SENT_RETENTION_DAYS = 30;
+
+/**
+ * Email waiting to be sent by jobs/mailOutbox.js. The message is rendered when it is
+ * queued, so later template edits do not change it. `dedupeKey` makes queueing the
+ * same event twice a no-op (e.g. one anniversary email per donor and year).
+ */
+const MailOutboxSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true, trim: true, lowercase: true },
+    subject: { type: String, required: true },
+    text: { type: String, required: true },
+    html: { type: String, default: null },
+    template: { type: String, required: true },
+    locale: { type: String, required: true },
+    // Event that queued the message, e.g. "suggestion.status_changed"
+    event: { type: String, default: null, index: true },
+    dedupeKey: { type: String, default: undefined },
+    status: { type: String, enum: MAIL_OUTBOX_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true, min: 1 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    sentAt: { type: Date, default: null },
+    deliveryMode: { type: String, default: null },
+    messageId: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+MailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+MailOutboxSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+MailOutboxSchema.index(
+  { sentAt: 1 },
+  { expireAfterSeconds: SENT_RETENTION_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'sent' } }
+);
+
+// Delay before the next try after `attempts` failed ones: base, 2x base, 4x base, ...
+function retryDelayMs(attempts, baseSeconds) {
+  return Math.min(baseSeconds * 1000 * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Take the next due message for sending. The claim is atomic, so several processes
+ * can work the outbox without sending a message twice.
+ */
+MailOutboxSchema.statics.claimNext = function (now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Put back messages whose sender died mid-send (locked before `lockedBefore`)
+MailOutboxSchema.statics.releaseStale = function (lockedBefore) {
+  return this.updateMany(
+    { status: 'sending', lockedAt: { $lt: lockedBefore } },
+    { $set: { status: 'pending', lockedAt: null, lastError: 'Sending was interrupted' } }
+  );
+};
+
+MailOutboxSchema.methods.markSent = function (info = {}, now = new Date()) {
+  this.status = 'sent';
+  this.sentAt = now;
+  this.lockedAt = null;
+  this.lastError = null;
+  this.deliveryMode = info.deliveryMode || null;
+  this.messageId = info.messageId || null;
+  return this.save();
+};
+
+// Schedule a retry with exponential backoff, or give up after maxAttempts
+MailOutboxSchema.methods.markFailed = function (error, { retryBaseSeconds }, now = new Date()) {
+  this.lockedAt = null;
+  this.lastError = String(error?.message || error).slice(0, 1000);
+  if (this.attempts >= this.maxAttempts) {
+    this.status = 'failed';
+  } else {
+    this.status = 'pending';
+    this.nextAttemptAt = new Date(now.getTime() + retryDelayMs(this.attempts, retryBaseSeconds));
+  }
+  return this.save();
+};
+
+// Send a failed message again with a fresh set of attempts
+MailOutboxSchema.methods.requeue = function (now = new Date()) {
+  this.status = 'pending';
+  this.attempts = 0;
+  this.nextAttemptAt = now;
+  this.lockedAt = null;
+  return this.save();
+};
+
+MailOutboxSchema.methods.toAdminJSON = function () {
+  return {
+    _id: this._id,
+    to: this.to,
+    subject: this.subject,
+    template: this.template,
+    locale: this.locale,
+    event: this.event,
+    status: this.status,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextAttemptAt: this.nextAttemptAt,
+    lastError: this.lastError,
+    sentAt: this.sentAt,
+    deliveryMode: this.deliveryMode,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = {
+  MailOutbox: mongoose.model('MailOutbox', MailOutboxSchema),
+  MAIL_OUTBOX_STATUSES,
+  retryDelayMs
+};
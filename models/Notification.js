@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const NOTIFICATION_TYPES = [
+  'suggestion_status',
+  'suggestion_action',
+  'suggestion_reply',
+  'suggestion_assigned',
+  'suggestion_reopened',
+  'survey_report_approved',
+  'survey_report_rejected',
+  'faculty_form_approved'
+];
+
+const SUBJECT_KINDS = ['Suggestion', 'SurveyReport', 'FacultyForm'];
+
+const RETENTION_DAYS = config.notifications.retentionDays;
+
+/**
+ * In-app notification for one user. `link` is a client route for the item the
+ * notification is about; `subject` points at the record itself.
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 1000, default: '' },
+    link: { type: String, trim: true, default: null },
+    subject: {
+      kind: { type: String, enum: [...SUBJECT_KINDS, null], default: null },
+      id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    readAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// Inbox listing and unread counts
+NotificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+// Let MongoDB drop notifications once the retention period is over
+NotificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+NotificationSchema.methods.toClientJSON = function () {
+  return {
+    _id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    link: this.link,
+    subject: this.subject,
+    read: Boolean(this.readAt),
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Create the same notification for each recipient. Empty and duplicate recipients
+ * are dropped, and so is the user who caused it (`payload.actor`): nobody is told
+ * about their own changes.
+ */
+NotificationSchema.statics.notify = function (recipients, payload) {
+  const actor = payload.actor ? String(payload.actor) : null;
+  const ids = [...new Set(recipients.filter(Boolean).map(String))].filter((id) => id !== actor);
+  if (!ids.length) return Promise.resolve([]);
+
+  const expiresAt = new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return this.insertMany(ids.map((recipient) => ({ ...payload, recipient, expiresAt })));
+};
+
+NotificationSchema.statics.unreadCount = function (userId) {
+  return this.countDocuments({ recipient: userId, readAt: null });
+};
+
+module.exports = {
+  Notification: mongoose.model('Notification', NotificationSchema),
+  NOTIFICATION_TYPES
+};
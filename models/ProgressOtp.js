@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+/**
+ * One pending OTP per email for the progress form verification flow.
+ * MongoDB removes the record through the TTL index once it expires.
+ */
+const ProgressOtpSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    otpHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    cooldownUntil: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+    requestIp: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+ProgressOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProgressOtp', ProgressOtpSchema);
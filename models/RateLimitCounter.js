@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Fixed-window request counters shared by every Node process.
+ * Each window gets its own document, removed by the TTL index after it closes.
+ */
+const RateLimitCounterSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: false }
+);
+
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count one hit for `key` in the current window and return the window state
+RateLimitCounterSchema.statics.hit = async function hit(key, windowMs) {
+  const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+  const resetAt = new Date(windowStart + windowMs);
+  const increment = () => this.findOneAndUpdate(
+    { key: `${key}:${windowStart}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+    { new: true, upsert: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (err) {
+    // Two processes upserted the same window at once; the retry hits the existing document
+    if (err.code !== 11000) throw err;
+    counter = await increment();
+  }
+  return { count: counter.count, resetAt };
+};
+
+module.exports = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
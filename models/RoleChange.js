@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./User');
+
+const ROLE_CHANGE_SOURCES = ['invitation', 'admin'];
+
+const RoleChangeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    fromRole: { type: String, enum: [...ROLES, null], default: null },
+    toRole: { type: String, enum: ROLES, required: true },
+    source: { type: String, enum: ROLE_CHANGE_SOURCES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, trim: true, maxlength: 500 },
+    invitation: { type: mongoose.Schema.Types.ObjectId, ref: 'Invitation', default: null }
+  },
+  { timestamps: true }
+);
+
+RoleChangeSchema.index({ createdAt: -1 });
+
+module.exports = {
+  RoleChange: mongoose.model('RoleChange', RoleChangeSchema),
+  ROLE_CHANGE_SOURCES
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { Department } = require('./Department');
+
+/**
+ * Admin-defined rule that routes new suggestions to a department.
+ * Every condition that is set must match (empty lists match anything);
+ * active rules are tried in ascending priority order and the first match wins.
+ * A rule without campus conditions whose department belongs to a campus (directly
+ * or through a parent) skips suggestions filed for other campuses.
+ */
+const RoutingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 120 },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+    priority: { type: Number, default: 100, index: true },
+    isActive: { type: Boolean, default: true, index: true },
+    conditions: {
+      categories: { type: [String], default: [] },
+      keywords: { type: [String], default: [] },
+      keywordMatch: { type: String, enum: ['any', 'all'], default: 'any' },
+      campuses: { type: [mongoose.Schema.Types.ObjectId], ref: 'CampusList', default: [] }
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+RoutingRuleSchema.methods.hasConditions = function () {
+  const { categories, keywords, campuses } = this.conditions;
+  return categories.length > 0 || keywords.length > 0 || campuses.length > 0;
+};
+
+// Does this rule match a suggestion ({ category, description, campus })?
+RoutingRuleSchema.methods.matches = function (suggestion) {
+  const { categories, keywords, keywordMatch, campuses } = this.conditions;
+  if (!this.hasConditions()) return false;
+
+  if (categories.length && !categories.includes(suggestion.category)) return false;
+
+  if (campuses.length) {
+    if (!suggestion.campus) return false;
+    if (!campuses.some((campus) => String(campus) === String(suggestion.campus))) return false;
+  } else if (this.$locals.departmentCampus && suggestion.campus
+    && this.$locals.departmentCampus !== String(suggestion.campus)) {
+    return false;
+  }
+
+  if (keywords.length) {
+    const text = String(suggestion.description || '').toLowerCase();
+    const hits = keywords.filter((keyword) => text.includes(String(keyword).toLowerCase()));
+    if (keywordMatch === 'all' ? hits.length !== keywords.length : hits.length === 0) return false;
+  }
+
+  return true;
+};
+
+// Record the campus each rule's department belongs to, for campus scoping in matches()
+RoutingRuleSchema.statics.attachCampusScopes = async function (rules) {
+  const tree = await Department.loadTree();
+  rules.forEach((rule) => {
+    rule.$locals.departmentCampus = rule.department ? tree.campusOf(rule.department._id) : null;
+  });
+  return rules;
+};
+
+// Load active rules with their departments, in evaluation order
+RoutingRuleSchema.statics.loadActive = async function () {
+  const rules = await this.find({ isActive: true }).sort({ priority: 1, createdAt: 1 }).populate('department', 'name isActive');
+  return this.attachCampusScopes(rules);
+};
+
+// First rule (from `rules`) that matches and points at an active department, or null
+RoutingRuleSchema.statics.findMatch = function (rules, suggestion) {
+  return rules.find((rule) => rule.department && rule.department.isActive && rule.matches(suggestion)) || null;
+};
+
+module.exports = mongoose.model('RoutingRule', RoutingRuleSchema);
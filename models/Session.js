@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const REFRESH_TOKEN_TTL_DAYS = config.jwt.refreshTokenTtlDays;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Server-side login session. Access tokens carry the session id (`sid`) and the
+ * refresh token is `<sessionId>.<secret>`; only the secret hash is stored.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    // Hash of the token that was just rotated out; presenting it again means the token leaked
+    previousTokenHash: { type: String, default: null },
+    userAgent: { type: String, trim: true, maxlength: 500 },
+    ip: { type: String, trim: true, maxlength: 100 },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB drop sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+SessionSchema.methods.toSafeJSON = function () {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt
+  };
+};
+
+// Start a session for a user, returning the plain refresh token once
+SessionSchema.statics.issue = async function issue(user, { userAgent, ip } = {}) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one. Returns null when the token is not usable.
+SessionSchema.statics.rotate = async function rotate(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const presentedHash = hashSecret(secret);
+  const nextSecret = newSecret();
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      refreshTokenHash: hashSecret(nextSecret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token was replayed: revoke the whole session
+    await this.updateOne(
+      { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'refresh-token-reuse' }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: `${session._id}.${nextSecret}` };
+};
+
+SessionSchema.statics.revoke = function revoke(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason || 'logout' }
+  );
+};
+
+module.exports = {
+  Session: mongoose.model('Session', SessionSchema),
+  REFRESH_TOKEN_TTL_DAYS
+};
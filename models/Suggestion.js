@@ -1,7 +1,24 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
+const { config } = require('../config');
+const { rankSimilar, DUPLICATE_THRESHOLD } = require('../services/similarity');
+const { filterText, detectIssues } = require('../services/contentFilter');
+const { buildSearchText } = require('../services/textSearch');
+const { SuggestionStatus } = require('./SuggestionStatus');
 
-const CATEGORIES = ['academic', 'administrative', 'infrastructure', 'other'];
-const STATUSES = ['Received', 'In Process', 'Resolved'];
+// Categories and statuses are managed in the database (SuggestionCategory, SuggestionStatus)
+const EVENT_TYPES = ['created', 'assigned', 'status_changed', 'category_changed', 'action_updated', 'comment_added', 'sla_breached', 'merged', 'moderated', 'redacted', 'feedback_submitted', 'reopened'];
+// Event types shown on the public tracking timeline
+const PUBLIC_EVENT_TYPES = ['created', 'assigned', 'status_changed', 'action_updated', 'merged', 'reopened'];
+// How far back duplicate detection looks for earlier reports
+const SIMILARITY_LOOKBACK_DAYS = 180;
+const SIMILARITY_CANDIDATE_LIMIT = 500;
+const VOTE_KINDS = ['upvote', 'me_too'];
+// pending: not yet reviewed; approved: may appear in public listings; hidden: never public
+const MODERATION_STATUSES = ['pending', 'approved', 'hidden'];
+// Longest actionTaken (and its redacted public version) accepted anywhere
+const ACTION_TAKEN_MAX_LENGTH = 20000;
 
 const MediaSchema = new mongoose.Schema(
   {
@@ -14,17 +31,119 @@ const MediaSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const HistoryEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: EVENT_TYPES, required: true },
+    field: { type: String, default: null },
+    from: { type: String, default: null },
+    to: { type: String, default: null },
+    note: { type: String, default: null, maxlength: 2000 },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorRole: { type: String, default: null },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: true }
+);
+
+const CommentSchema = new mongoose.Schema(
+  {
+    authorType: { type: String, enum: ['staff', 'submitter'], required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    authorRole: { type: String, default: null },
+    message: { type: String, required: true, trim: true, minlength: 1, maxlength: 5000 },
+    // Internal notes are visible to staff only
+    internal: { type: Boolean, default: false }
+  },
+  { _id: true, timestamps: { createdAt: true, updatedAt: false } }
+);
+
+const VoteSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: VOTE_KINDS, default: 'upvote' },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
 const SuggestionSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false, index: true },
     anonymous: { type: Boolean, default: false },
-    category: { type: String, enum: CATEGORIES, required: true, index: true },
+    category: { type: String, required: true, trim: true, index: true },
     description: { type: String, required: true, minlength: 10, maxlength: 5000 },
-    status: { type: String, enum: STATUSES, default: 'Received', index: true },
-    assignedDepartment: { type: String, default: null, index: true },
+    status: { type: String, default: 'Received', index: true },
+    department: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null, index: true },
+    // Name of `department` for display; refreshed when the department is renamed
+    assignedDepartment: { type: String, default: null },
+    campus: { type: mongoose.Schema.Types.ObjectId, ref: 'CampusList', default: null, index: true },
+    // Routing rule that picked the department automatically, if any
+    routing: {
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'RoutingRule', default: null },
+      ruleName: { type: String, default: null },
+      routedAt: { type: Date, default: null }
+    },
     assignedTo: { type: String, default: null },
-    actionTaken: { type: String, default: null, maxlength: 20000 }, // New field for action taken
-    media: { type: [MediaSchema], default: [] }
+    actionTaken: { type: String, default: null, maxlength: ACTION_TAKEN_MAX_LENGTH }, // New field for action taken
+    // Normalised tokens of description and actionTaken for the text index (see services/textSearch)
+    searchText: { type: String, default: '', select: false },
+    media: { type: [MediaSchema], default: [] },
+    history: { type: [HistoryEventSchema], default: [] },
+    comments: { type: [CommentSchema], default: [] },
+    // One vote per user; voteCount mirrors votes.length for sorting
+    votes: { type: [VoteSchema], default: [] },
+    voteCount: { type: Number, default: 0, min: 0 },
+    // Public issue board: the submitter opts in; moderation decides whether it is listed
+    board: {
+      optIn: { type: Boolean, default: false }
+    },
+    // Review before anything appears publicly. The original text is kept for staff;
+    // public output uses the redacted versions when set and is always masked.
+    moderation: {
+      status: { type: String, enum: MODERATION_STATUSES, default: 'pending', index: true },
+      flags: { type: [String], default: [] },
+      note: { type: String, default: null, maxlength: 2000 },
+      reviewedAt: { type: Date, default: null },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      redactedDescription: { type: String, default: null, maxlength: 5000 },
+      redactedActionTaken: { type: String, default: null, maxlength: ACTION_TAKEN_MAX_LENGTH },
+      maskedTerms: { type: [String], default: [] },
+      hiddenMedia: { type: [String], default: [] }
+    },
+    // Likely duplicates of earlier reports, flagged at submission for admin review
+    possibleDuplicates: {
+      type: [{
+        _id: false,
+        suggestion: { type: mongoose.Schema.Types.ObjectId, ref: 'Suggestion' },
+        score: { type: Number }
+      }],
+      default: []
+    },
+    // Set on a duplicate once it has been merged into its master record
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Suggestion', default: null, index: true },
+    mergedAt: { type: Date, default: null },
+    mergedFrom: { type: [mongoose.Schema.Types.ObjectId], ref: 'Suggestion', default: [] },
+    resolvedAt: { type: Date, default: null },
+    // Submitter's verdict on the latest resolution
+    satisfaction: {
+      rating: { type: Number, min: 1, max: 5, default: null },
+      comment: { type: String, default: null, maxlength: 2000 },
+      submittedAt: { type: Date, default: null },
+      reopened: { type: Boolean, default: false }
+    },
+    reopenCount: { type: Number, default: 0 },
+    sla: {
+      startedAt: { type: Date, default: null },
+      dueAt: { type: Date, default: null },
+      breachedAt: { type: Date, default: null },
+      escalatedAt: { type: Date, default: null },
+      escalatedTo: { type: String, default: null }
+    },
+    // sha256 of the private tracking code handed to anonymous submitters at creation.
+    // Left unset otherwise: the unique sparse index would count every null as a duplicate.
+    trackingCodeHash: { type: String, default: undefined },
+    // bcrypt hash of the optional PIN that must accompany the tracking code
+    trackingPinHash: { type: String, default: null }
   },
   { timestamps: true }
 );
@@ -32,42 +151,420 @@ const SuggestionSchema = new mongoose.Schema(
 SuggestionSchema.methods.toPublicJSON = function () {
   const obj = this.toObject();
   delete obj.__v;
+  delete obj.history;
+  delete obj.comments;
+  delete obj.trackingCodeHash;
+  delete obj.trackingPinHash;
+  delete obj.searchText;
+  delete obj.routing;
+  delete obj.possibleDuplicates;
+  delete obj.votes;
+  obj.moderation = { status: this.moderation.status };
   if (obj.anonymous) {
     delete obj.user;
   }
   return obj;
 };
 
-// Add validation for assignedDepartment to ensure it exists and is active
+// Staff view: the public fields plus routing and duplicate review data
+SuggestionSchema.methods.toAdminJSON = function () {
+  const obj = this.toPublicJSON();
+  obj.routing = this.routing;
+  obj.possibleDuplicates = this.possibleDuplicates;
+  obj.moderation = this.moderation;
+  return obj;
+};
+
+// Text of `field` as it may be shown publicly: the admin redaction if any, then masked
+SuggestionSchema.methods.publicText = function (field) {
+  const redacted = field === 'description' ? this.moderation.redactedDescription : this.moderation.redactedActionTaken;
+  return filterText(redacted ?? this[field], { terms: this.moderation.maskedTerms }).text;
+};
+
+SuggestionSchema.methods.publicMedia = function () {
+  const hidden = new Set(this.moderation.hiddenMedia);
+  return this.media.filter((item) => !hidden.has(item.filename));
+};
+
+// Approved suggestion as shown in public listings: masked text, no submitter or assignee
+SuggestionSchema.methods.toPublishedJSON = function () {
+  return {
+    id: this._id,
+    category: this.category,
+    description: this.publicText('description'),
+    status: this.status,
+    assignedDepartment: this.assignedDepartment,
+    actionTaken: this.publicText('actionTaken'),
+    media: this.publicMedia(),
+    voteCount: this.voteCount,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    resolvedAt: this.resolvedAt
+  };
+};
+
+// Record a moderation decision
+SuggestionSchema.methods.moderate = function (status, note, actor) {
+  if (status !== this.moderation.status) {
+    this.recordEvent('moderated', { field: 'moderation', from: this.moderation.status, to: status, note }, actor);
+  }
+  this.moderation.status = status;
+  this.moderation.note = note || null;
+  this.moderation.reviewedAt = new Date();
+  this.moderation.reviewedBy = actor ? actor.id : null;
+};
+
+// Entry on the public issue board; `userId` marks the viewer's own vote
+SuggestionSchema.methods.toBoardJSON = function (userId = null) {
+  const vote = userId ? this.votes.find((item) => String(item.user) === String(userId)) : null;
+  return {
+    ...this.toPublishedJSON(),
+    meTooCount: this.votes.filter((item) => item.kind === 'me_too').length,
+    myVote: vote ? vote.kind : null
+  };
+};
+
+// Append a timeline event. `actor` is the acting user ({ id, role }) or null for the system.
+SuggestionSchema.methods.recordEvent = function (type, { field, from, to, note } = {}, actor = null) {
+  this.history.push({
+    type,
+    field: field || null,
+    from: from === undefined || from === null ? null : String(from),
+    to: to === undefined || to === null ? null : String(to),
+    note: note || null,
+    actor: actor ? actor.id : null,
+    actorRole: actor ? actor.role : null,
+    at: new Date()
+  });
+};
+
+// Apply admin edits and record one timeline event per changed field. `department` is
+// a Department document, or null to unassign. `note` is attached to status, category
+// and assignment events. Returns the changed fields.
+SuggestionSchema.methods.applyUpdates = function (updates, actor, { note } = {}) {
+  const changed = [];
+  if (updates.status !== undefined && updates.status !== this.status) {
+    this.recordEvent('status_changed', { field: 'status', from: this.status, to: updates.status, note }, actor);
+    this.status = updates.status;
+    changed.push('status');
+  }
+  if (updates.category !== undefined && updates.category !== this.category) {
+    this.recordEvent('category_changed', { field: 'category', from: this.category, to: updates.category, note }, actor);
+    this.category = updates.category;
+    changed.push('category');
+  }
+  if (updates.department !== undefined && String(updates.department?._id || '') !== String(this.department || '')) {
+    const next = updates.department;
+    this.recordEvent('assigned', { field: 'assignedDepartment', from: this.assignedDepartment, to: next ? next.name : null, note }, actor);
+    this.department = next ? next._id : null;
+    this.assignedDepartment = next ? next.name : null;
+    changed.push('assignedDepartment');
+  }
+  const assignee = updates.assignedTo === '' ? null : updates.assignedTo;
+  if (assignee !== undefined && assignee !== this.assignedTo) {
+    this.recordEvent('assigned', { field: 'assignedTo', from: this.assignedTo, to: assignee, note }, actor);
+    this.assignedTo = assignee;
+    changed.push('assignedTo');
+  }
+  if (updates.actionTaken !== undefined && updates.actionTaken !== this.actionTaken) {
+    this.recordEvent('action_updated', { field: 'actionTaken', note: updates.actionTaken }, actor);
+    this.actionTaken = updates.actionTaken;
+    changed.push('actionTaken');
+  }
+  return changed;
+};
+
+// Issue a private tracking code (and optional PIN). Only hashes are stored, so the
+// returned code must be shown to the submitter right away.
+SuggestionSchema.methods.issueTrackingCode = async function (pin) {
+  // randomInt draws each character uniformly; byte % 31 would favour the first characters
+  const raw = Array.from({ length: TRACKING_CODE_LENGTH }, () => TRACKING_CODE_ALPHABET[crypto.randomInt(TRACKING_CODE_ALPHABET.length)]).join('');
+  this.trackingCodeHash = hashTrackingCode(raw);
+  this.trackingPinHash = pin ? await bcrypt.hash(String(pin), 10) : null;
+  return formatTrackingCode(raw);
+};
+
+SuggestionSchema.methods.matchesTrackingPin = async function (pin) {
+  if (!this.trackingPinHash) return true;
+  if (!pin) return false;
+  return bcrypt.compare(String(pin), this.trackingPinHash);
+};
+
+SuggestionSchema.statics.findByTrackingCode = function (code) {
+  const normalized = normalizeTrackingCode(code);
+  if (normalized.length !== TRACKING_CODE_LENGTH) return Promise.resolve(null);
+  return this.findOne({ trackingCodeHash: hashTrackingCode(normalized) });
+};
+
+// Add a message to the conversation and note it on the timeline
+SuggestionSchema.methods.addComment = function ({ authorType, message, internal = false }, actor = null) {
+  this.comments.push({
+    authorType,
+    author: actor ? actor.id : null,
+    authorRole: actor ? actor.role : null,
+    message,
+    internal: authorType === 'staff' && Boolean(internal)
+  });
+  const comment = this.comments[this.comments.length - 1];
+  this.recordEvent('comment_added', { field: comment.internal ? 'internal' : authorType, to: String(comment._id) }, actor);
+  return comment;
+};
+
+// Conversation as seen by the submitter: internal notes and staff identities removed
+SuggestionSchema.methods.toPublicThread = function () {
+  return this.comments
+    .filter((comment) => !comment.internal)
+    .map((comment) => ({
+      id: comment._id,
+      authorType: comment.authorType,
+      message: comment.message,
+      createdAt: comment.createdAt
+    }));
+};
+
+// Assign the department chosen by a routing rule and record which rule matched
+SuggestionSchema.methods.applyRoutingRule = function (rule) {
+  this.recordEvent('assigned', {
+    field: 'assignedDepartment',
+    from: this.assignedDepartment,
+    to: rule.department.name,
+    note: `Routing rule: ${rule.name}`
+  }, null);
+  this.department = rule.department._id;
+  this.assignedDepartment = rule.department.name;
+  this.routing = { rule: rule._id, ruleName: rule.name, routedAt: new Date() };
+};
+
+// Open reports similar to `text`, best first, as [{ suggestion, score }]. Merged
+// duplicates are skipped; pass `excludeIds` to leave out specific suggestions.
+SuggestionSchema.statics.findSimilar = async function (text, { category, excludeIds = [], limit = 5, minScore } = {}) {
+  const filter = {
+    mergedInto: null,
+    createdAt: { $gte: new Date(Date.now() - SIMILARITY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+  };
+  if (category) filter.category = category;
+  if (excludeIds.length) filter._id = { $nin: excludeIds };
+
+  const docs = await this.find(filter)
+    .select('category description status department assignedDepartment actionTaken voteCount moderation createdAt updatedAt')
+    .sort({ createdAt: -1 })
+    .limit(SIMILARITY_CANDIDATE_LIMIT);
+
+  return rankSimilar(text, docs.map((doc) => ({ text: doc.description, doc })), { limit, minScore })
+    .map(({ candidate, score }) => ({ suggestion: candidate.doc, score }));
+};
+
+// Flag likely duplicates from a findSimilar() result
+SuggestionSchema.methods.flagPossibleDuplicates = function (matches) {
+  this.possibleDuplicates = matches
+    .filter((match) => match.score >= DUPLICATE_THRESHOLD)
+    .map((match) => ({ suggestion: match.suggestion._id, score: match.score }));
+};
+
+// Merge duplicate suggestions into this master record: media and votes are combined,
+// the duplicates point at the master and stop counting toward SLAs. Caller saves all docs.
+SuggestionSchema.methods.mergeDuplicates = function (duplicates, actor) {
+  const filenames = new Set(this.media.map((item) => item.filename));
+  duplicates.forEach((duplicate) => {
+    duplicate.media.forEach((item) => {
+      if (filenames.has(item.filename)) return;
+      filenames.add(item.filename);
+      this.media.push(item.toObject ? item.toObject() : item);
+    });
+    // Combine votes, keeping a single vote per user
+    duplicate.votes.forEach((vote) => {
+      if (this.votes.some((item) => String(item.user) === String(vote.user))) return;
+      this.votes.push(vote.toObject ? vote.toObject() : vote);
+    });
+    this.voteCount = this.votes.length;
+    this.mergedFrom.push(duplicate._id, ...duplicate.mergedFrom);
+    this.recordEvent('merged', { field: 'mergedFrom', to: String(duplicate._id) }, actor);
+
+    duplicate.recordEvent('merged', { field: 'mergedInto', to: String(this._id) }, actor);
+    duplicate.mergedInto = this._id;
+    duplicate.mergedAt = new Date();
+    duplicate.mergedFrom = [];
+    duplicate.votes = [];
+    duplicate.voteCount = 0;
+    duplicate.possibleDuplicates = [];
+    duplicate.sla = { startedAt: null, dueAt: null, breachedAt: null, escalatedAt: null, escalatedTo: null };
+  });
+
+  const mergedIds = new Set(duplicates.map((duplicate) => String(duplicate._id)));
+  this.possibleDuplicates = this.possibleDuplicates.filter((item) => !mergedIds.has(String(item.suggestion)));
+};
+
+// Filter for suggestions listed on the public board
+SuggestionSchema.statics.boardFilter = function () {
+  return {
+    'board.optIn': true,
+    'moderation.status': 'approved',
+    resolvedAt: null,
+    mergedInto: null
+  };
+};
+
+// Add the user's vote unless they already voted. Resolves to the updated
+// suggestion, or null when it is not on the board or the user has voted.
+SuggestionSchema.statics.castVote = function (id, userId, kind = 'upvote') {
+  return this.findOneAndUpdate(
+    { _id: id, ...this.boardFilter(), 'votes.user': { $ne: userId } },
+    { $push: { votes: { user: userId, kind, at: new Date() } }, $inc: { voteCount: 1 } },
+    { new: true }
+  );
+};
+
+// Withdraw the user's vote. Resolves to the updated suggestion, or null when there was no vote.
+SuggestionSchema.statics.withdrawVote = function (id, userId) {
+  return this.findOneAndUpdate(
+    { _id: id, 'votes.user': userId },
+    { $pull: { votes: { user: userId } }, $inc: { voteCount: -1 } },
+    { new: true }
+  );
+};
+
+// What the submitter may do with a resolved suggestion: rate the latest
+// resolution once, and reopen it until the reopen window closes
+SuggestionSchema.methods.feedbackState = function (now = new Date()) {
+  const resolved = Boolean(this.resolvedAt);
+  const reopenUntil = resolved
+    ? new Date(this.resolvedAt.getTime() + config.suggestions.reopenWindowDays * 24 * 60 * 60 * 1000)
+    : null;
+  const rated = Boolean(this.satisfaction?.submittedAt && resolved && this.satisfaction.submittedAt >= this.resolvedAt);
+  return {
+    canRate: resolved && !rated,
+    canReopen: resolved && now <= reopenUntil,
+    reopenUntil,
+    satisfaction: this.satisfaction?.rating ? this.satisfaction : null
+  };
+};
+
+// Store the submitter's rating and, when `reopenTo` names a status, reopen the
+// suggestion into it. Check feedbackState() first.
+SuggestionSchema.methods.submitFeedback = function ({ rating, comment, reopenTo = null }, actor = null) {
+  this.satisfaction = { rating, comment: comment || null, submittedAt: new Date(), reopened: Boolean(reopenTo) };
+  this.recordEvent('feedback_submitted', { field: 'satisfaction', to: String(rating), note: comment }, actor);
+  if (reopenTo) {
+    this.recordEvent('reopened', { note: comment }, actor);
+    this.applyUpdates({ status: reopenTo }, actor);
+    this.reopenCount += 1;
+  }
+};
+
+// Timeline for the public tracking page: no actors, assignees or notes
+SuggestionSchema.methods.toPublicTimeline = function () {
+  return this.history
+    .filter((event) => PUBLIC_EVENT_TYPES.includes(event.type))
+    .filter((event) => event.type !== 'assigned' || event.field === 'assignedDepartment')
+    .map((event) => {
+      const item = { type: event.type, at: event.at };
+      if (event.type === 'status_changed') {
+        item.from = event.from;
+        item.to = event.to;
+      }
+      if (event.type === 'assigned') item.department = event.to;
+      return item;
+    });
+};
+
+// Validate the department (must exist and be active) and keep resolution/SLA fields in step
 SuggestionSchema.pre('save', async function(next) {
-  if (this.assignedDepartment && this.isModified('assignedDepartment')) {
+  // Flag profanity and personal data for the moderation queue, and refresh search tokens
+  if (this.isModified('description') || this.isModified('actionTaken')) {
+    this.moderation.flags = [...new Set([...detectIssues(this.description), ...detectIssues(this.actionTaken)])];
+    this.searchText = buildSearchText(this.description, this.actionTaken);
+  }
+
+  // Final statuses in the workflow close the suggestion. resolvedAt is only cleared
+  // when it moves back to an open status, so a move between final statuses (e.g.
+  // Resolved to Closed) keeps the original resolution time.
+  if (this.isModified('status')) {
     try {
-      const Department = mongoose.model('Department');
-      const department = await Department.findOne({ 
-        name: this.assignedDepartment, 
-        isActive: true 
-      });
-      
-      if (!department) {
-        const error = new Error('Invalid or inactive department');
-        error.name = 'ValidationError';
-        return next(error);
-      }
+      if (!(await SuggestionStatus.isFinal(this.status))) this.resolvedAt = null;
+      else if (!this.resolvedAt) this.resolvedAt = new Date();
     } catch (err) {
-      // If Department model doesn't exist yet, skip validation
-      if (err.message.includes('Schema hasn\'t been registered')) {
-        return next();
-      }
       return next(err);
     }
   }
+
+  if (!this.isModified('department') && !this.isModified('category')) return next();
+
+  if (!this.department) {
+    this.assignedDepartment = null;
+    this.sla = { startedAt: null, dueAt: null, breachedAt: null, escalatedAt: null, escalatedTo: null };
+    return next();
+  }
+
+  try {
+    const Department = mongoose.model('Department');
+    const department = await Department.findOne({ 
+      _id: this.department, 
+      isActive: true 
+    });
+    
+    if (!department) {
+      if (!this.isModified('department')) return next();
+      const error = new Error('Invalid or inactive department');
+      error.name = 'ValidationError';
+      return next(error);
+    }
+
+    // The SLA clock starts when the suggestion reaches its department; a category
+    // change only moves the deadline
+    this.assignedDepartment = department.name;
+    const startedAt = this.isModified('department') || !this.sla?.startedAt ? new Date() : this.sla.startedAt;
+    const hours = department.resolutionHoursFor(this.category);
+    const dueAt = hours ? new Date(startedAt.getTime() + hours * 60 * 60 * 1000) : null;
+    const unchanged = this.sla?.dueAt && dueAt && this.sla.dueAt.getTime() === dueAt.getTime();
+    this.sla = {
+      startedAt,
+      dueAt,
+      breachedAt: unchanged ? this.sla.breachedAt : null,
+      escalatedAt: unchanged ? this.sla.escalatedAt : null,
+      escalatedTo: unchanged ? this.sla.escalatedTo : null
+    };
+  } catch (err) {
+    // If Department model doesn't exist yet, skip validation
+    if (err.message.includes('Schema hasn\'t been registered')) {
+      return next();
+    }
+    return next(err);
+  }
   next();
 });
 
 SuggestionSchema.index({ createdAt: -1 });
+SuggestionSchema.index({ status: 1, 'sla.dueAt': 1, 'sla.breachedAt': 1 });
+
+SuggestionSchema.index({ 'board.optIn': 1, 'moderation.status': 1, status: 1, voteCount: -1 });
+SuggestionSchema.index(
+  { searchText: 'text' },
+  { name: 'suggestion_search', default_language: 'english', language_override: 'searchLanguage' }
+);
+SuggestionSchema.index({ trackingCodeHash: 1 }, { unique: true, sparse: true });
+
+// Unambiguous characters only (no 0/O, 1/I/L), grouped as XXXX-XXXX-XXXX
+const TRACKING_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const TRACKING_CODE_LENGTH = 12;
+const TRACKING_PIN_PATTERN = /^\d{4,8}$/;
+
+function normalizeTrackingCode(code) {
+  return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function formatTrackingCode(code) {
+  return normalizeTrackingCode(code).match(/.{1,4}/g).join('-');
+}
+
+function hashTrackingCode(code) {
+  return crypto.createHash('sha256').update(normalizeTrackingCode(code)).digest('hex');
+}
 
 module.exports = {
   Suggestion: mongoose.model('Suggestion', SuggestionSchema),
-  CATEGORIES,
-  STATUSES
+  EVENT_TYPES,
+  TRACKING_PIN_PATTERN,
+  VOTE_KINDS,
+  MODERATION_STATUSES,
+  ACTION_TAKEN_MAX_LENGTH
 };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Seeded on first start; suggestions created before categories moved to the database use these keys
+const DEFAULT_CATEGORIES = [
+  { key: 'academic', labels: { en: 'Academic', ne: 'शैक्षिक' }, sortOrder: 10 },
+  { key: 'administrative', labels: { en: 'Administrative', ne: 'प्रशासनिक' }, sortOrder: 20 },
+  { key: 'infrastructure', labels: { en: 'Infrastructure', ne: 'पूर्वाधार' }, sortOrder: 30 },
+  { key: 'other', labels: { en: 'Other', ne: 'अन्य' }, sortOrder: 40 }
+];
+
+const CATEGORY_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+const SuggestionCategorySchema = new mongoose.Schema(
+  {
+    // Stored on suggestions; cannot be changed once created
+    key: { type: String, required: true, unique: true, trim: true, lowercase: true, match: CATEGORY_KEY_PATTERN },
+    labels: {
+      en: { type: String, required: true, trim: true, maxlength: 100 },
+      ne: { type: String, trim: true, maxlength: 100, default: '' }
+    },
+    description: { type: String, trim: true, maxlength: 500, default: '' },
+    // Used when neither the submitter nor a routing rule picks a department
+    defaultDepartment: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 100 }
+  },
+  { timestamps: true }
+);
+
+SuggestionCategorySchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount()) return;
+  await this.insertMany(DEFAULT_CATEGORIES, { ordered: false }).catch((err) => {
+    if (err.code !== 11000) throw err;
+  });
+};
+
+SuggestionCategorySchema.statics.listActive = function () {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, key: 1 });
+};
+
+SuggestionCategorySchema.statics.findActive = function (key) {
+  if (!key || typeof key !== 'string') return Promise.resolve(null);
+  return this.findOne({ key: key.trim().toLowerCase(), isActive: true });
+};
+
+module.exports = {
+  SuggestionCategory: mongoose.model('SuggestionCategory', SuggestionCategorySchema),
+  DEFAULT_CATEGORIES,
+  CATEGORY_KEY_PATTERN
+};
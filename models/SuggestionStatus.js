@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Seeded on first start; matches the workflow suggestions used before statuses moved to the database
+const DEFAULT_STATUSES = [
+  {
+    key: 'Received',
+    labels: { en: 'Received', ne: 'प्राप्त' },
+    isInitial: true,
+    transitions: ['In Process', 'Resolved'],
+    sortOrder: 10
+  },
+  {
+    key: 'In Process',
+    labels: { en: 'In Process', ne: 'प्रक्रियामा' },
+    transitions: ['Received', 'Resolved'],
+    sortOrder: 20
+  },
+  {
+    key: 'Resolved',
+    labels: { en: 'Resolved', ne: 'समाधान भएको' },
+    isFinal: true,
+    transitions: ['In Process'],
+    sortOrder: 30
+  }
+];
+
+const STATUS_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9 _-]{1,39}$/;
+
+/**
+ * One step of the suggestion workflow. Exactly one active status is initial (new
+ * suggestions start there). Final statuses close a suggestion: they set resolvedAt,
+ * stop the SLA clock and let the submitter rate the outcome.
+ */
+const SuggestionStatusSchema = new mongoose.Schema(
+  {
+    // Stored on suggestions; cannot be changed once created
+    key: { type: String, required: true, unique: true, trim: true, match: STATUS_KEY_PATTERN },
+    labels: {
+      en: { type: String, required: true, trim: true, maxlength: 100 },
+      ne: { type: String, trim: true, maxlength: 100, default: '' }
+    },
+    isInitial: { type: Boolean, default: false },
+    isFinal: { type: Boolean, default: false },
+    // Statuses a suggestion in this status may move to
+    transitions: { type: [String], default: [] },
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 100 }
+  },
+  { timestamps: true }
+);
+
+SuggestionStatusSchema.methods.canMoveTo = function (key) {
+  return this.transitions.includes(key);
+};
+
+SuggestionStatusSchema.statics.ensureDefaults = async function () {
+  if (await this.estimatedDocumentCount()) return;
+  await this.insertMany(DEFAULT_STATUSES, { ordered: false }).catch((err) => {
+    if (err.code !== 11000) throw err;
+  });
+};
+
+// Active statuses in display order, with the initial status picked out. finalKeys covers
+// inactive statuses too, since suggestions may still carry them.
+SuggestionStatusSchema.statics.getWorkflow = async function () {
+  const all = await this.find().sort({ sortOrder: 1, key: 1 });
+  const statuses = all.filter((status) => status.isActive);
+  const finalKeys = (all.length ? all : DEFAULT_STATUSES).filter((status) => status.isFinal).map((status) => status.key);
+  return {
+    statuses,
+    byKey: new Map(statuses.map((status) => [status.key, status])),
+    initial: statuses.find((status) => status.isInitial) || statuses[0] || null,
+    finalKeys
+  };
+};
+
+// Error message when a suggestion may not move from `from` to `to`, otherwise null.
+// Suggestions in a retired status may move to any active status. Pass a loaded
+// `workflow` when checking many suggestions.
+SuggestionStatusSchema.statics.checkTransition = async function (from, to, workflow = null) {
+  if (from === to) return null;
+  const { byKey } = workflow || await this.getWorkflow();
+  if (!byKey.has(to)) return `Invalid status. Allowed: ${[...byKey.keys()].join(', ')}`;
+  const current = byKey.get(from);
+  if (current && !current.canMoveTo(to)) {
+    return `Cannot move from "${from}" to "${to}". Allowed: ${current.transitions.join(', ') || 'none'}`;
+  }
+  return null;
+};
+
+// Status a closed suggestion returns to when its submitter reopens it: the first
+// open status it may move to, else the initial status
+SuggestionStatusSchema.statics.reopenTarget = async function (from) {
+  const { byKey, initial } = await this.getWorkflow();
+  const current = byKey.get(from);
+  const next = current && current.transitions.map((key) => byKey.get(key)).find((status) => status && !status.isFinal);
+  return (next || initial)?.key || null;
+};
+
+// Whether `key` closes a suggestion; falls back to the built-in workflow before seeding
+SuggestionStatusSchema.statics.isFinal = async function (key) {
+  const status = await this.findOne({ key }).select('isFinal');
+  if (status) return status.isFinal;
+  return DEFAULT_STATUSES.some((item) => item.key === key && item.isFinal);
+};
+
+module.exports = {
+  SuggestionStatus: mongoose.model('SuggestionStatus', SuggestionStatusSchema),
+  DEFAULT_STATUSES,
+  STATUS_KEY_PATTERN
+};
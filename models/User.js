@@ -1,17 +1,30 @@
 const mongoose = require('mongoose');
 
-const ROLES = ['student', 'teacher', 'staff', 'alumni', 'admin'];
+const ROLES = ['student', 'teacher', 'staff', 'alumni', 'department_staff', 'admin'];
+// Least-privileged role given to self-registered accounts
+const DEFAULT_ROLE = 'student';
+// Works the suggestion queue of the departments listed in `departments`
+const DEPARTMENT_STAFF_ROLE = 'department_staff';
+// Languages template emails are available in
+const LOCALES = ['en', 'ne'];
 
 const UserSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
     email: { type: String, required: true, unique: true, lowercase: true, trim: true }, // unique handled here
-    role: { type: String, enum: ROLES, default: 'student', index: true },
+    role: { type: String, enum: ROLES, default: DEFAULT_ROLE, index: true },
     password: { type: String, required: true, minlength: 6 },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    passwordChangedAt: { type: Date, default: null },
+    // Email language; unset falls back to MAIL_DEFAULT_LOCALE
+    locale: { type: String, enum: [...LOCALES, null], default: null },
     profile: {
       department: { type: String },
       phone: { type: String }
-    }
+    },
+    // Departments whose suggestion inbox this user works (department staff)
+    departments: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Department' }], default: [], index: true }
   },
   { timestamps: true }
 );
@@ -27,5 +40,8 @@ UserSchema.methods.toSafeJSON = function () {
 
 module.exports = {
   User: mongoose.model('User', UserSchema),
-  ROLES
+  ROLES,
+  DEFAULT_ROLE,
+  DEPARTMENT_STAFF_ROLE,
+  LOCALES
 };
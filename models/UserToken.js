@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_PURPOSES = ['password-reset', 'email-verification'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Single-use account tokens (password reset, email verification).
+ * Only the sha256 hash is stored; the plain token is emailed to the user.
+ */
+const UserTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: TOKEN_PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a fresh token, invalidating any unused token of the same purpose
+UserTokenSchema.statics.issue = async function issue(userId, purpose, ttlMs) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Atomically mark a token as used. Returns the token record, or null when invalid/expired/used.
+UserTokenSchema.statics.consume = function consume(token, purpose) {
+  if (!token) return Promise.resolve(null);
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  UserToken: mongoose.model('UserToken', UserTokenSchema),
+  TOKEN_PURPOSES
+};
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+} = require('../controllers/account.controller');
+
+const router = express.Router();
+
+// REQUEST password reset email
+router.post('/auth/forgot-password', forgotPassword);
+
+// RESET password with a one-time token
+router.post('/auth/reset-password', resetPassword);
+
+// VERIFY email with a one-time token
+router.post('/auth/verify-email', verifyEmail);
+
+// RESEND verification email (access rules live in config/permissions.js)
+router.post('/auth/verify-email/resend', resendVerificationEmail);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const { loadDepartmentScope } = require('../middleware/departmentScope');
+const {
+  listDepartmentSuggestions,
+  getDepartmentSuggestion,
+  updateDepartmentSuggestion
+} = require('../controllers/departmentInbox.controller');
+
+const router = express.Router();
+
+// Department Staff Routes (access rules live in config/permissions.js)
+// GET suggestions assigned to the user's departments
+router.get('/department/suggestions', loadDepartmentScope, listDepartmentSuggestions);
+
+// GET one suggestion with its timeline
+router.get('/department/suggestions/:id', loadDepartmentScope, getDepartmentSuggestion);
+
+// UPDATE status and action taken
+router.patch('/department/suggestions/:id', loadDepartmentScope, updateDepartmentSuggestion);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { config } = require('../config');
 const router = express.Router();
 const {
   createFacultyForm,
@@ -161,7 +162,7 @@ router.patch('/:id/reject', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 });
@@ -224,7 +225,7 @@ router.get('/search/:term', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 });
@@ -284,7 +285,7 @@ router.get('/export/csv', async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      error: config.env === 'development' ? error.message : 'Something went wrong'
     });
   }
 });
@@ -295,7 +296,7 @@ router.use((error, req, res, next) => {
   res.status(500).json({
     success: false,
     message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    error: config.env === 'development' ? error.message : 'Something went wrong'
   });
 });
 
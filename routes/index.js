@@ -1,13 +1,20 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
-const { User, ROLES } = require('../models/User');
-const { Suggestion, CATEGORIES, STATUSES } = require('../models/Suggestion');
-const { Department } = require('../models/Department');
+const { User, DEFAULT_ROLE, LOCALES } = require('../models/User');
+const { Suggestion, TRACKING_PIN_PATTERN, VOTE_KINDS, MODERATION_STATUSES, ACTION_TAKEN_MAX_LENGTH } = require('../models/Suggestion');
+const { SuggestionCategory } = require('../models/SuggestionCategory');
+const { SuggestionStatus } = require('../models/SuggestionStatus');
+const { Department, DEPARTMENT_KINDS } = require('../models/Department');
+const RoutingRule = require('../models/RoutingRule');
+const CampusList = require('../models/CampusList');
+const { Session } = require('../models/Session');
+const { config, redactedConfig } = require('../config');
 const { verifyJWT, optionalAuth, requireRole } = require('../middleware/auth');
 const progressController = require('../controllers/ProgressController');
 const ProgressReport = require('../models/ProgressReport');
@@ -54,6 +61,20 @@ const { generateSummaryDocx } = require('../controllers/summaryController');
 const eventController = require('../controllers/event.controller');
 const campusListController = require('../controllers/campusList.controller');
 const surveyReportRoutes = require('./surveyReport.routes');
+const userRoleRoutes = require('./userRole.routes');
+const accountRoutes = require('./account.routes');
+const routingRuleRoutes = require('./routingRule.routes');
+const suggestionWorkflowRoutes = require('./suggestionWorkflow.routes');
+const departmentInboxRoutes = require('./departmentInbox.routes');
+const notificationRoutes = require('./notification.routes');
+const mailOutboxRoutes = require('./mailOutbox.routes');
+const { sendVerificationEmail } = require('../controllers/account.controller');
+const { escalateBreachedSuggestions } = require('../jobs/slaEscalation');
+const { buildSnippet } = require('../services/textSearch');
+const { buildSuggestionFilter, buildSuggestionSort } = require('../services/suggestionFilter');
+const { toCsv, toXlsx } = require('../services/suggestionExport');
+const { renderSuggestionsPdf, renderSummaryPdf, chartsAvailable } = require('../services/reportPdf');
+const { notifySuggestionUpdate, notifySuggestionReply, notifySuggestionReopened } = require('../services/notifications');
 const FacultyForm = require('../models/facultyForm.model');
 
 
@@ -92,8 +113,8 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: { 
-    fileSize: 15 * 1024 * 1024,  // 15MB per file
-    files: 10,  // Maximum 10 files per request
+    fileSize: config.uploads.maxFileSizeBytes,  // UPLOAD_MAX_FILE_SIZE_MB per file
+    files: config.uploads.maxFiles,  // UPLOAD_MAX_FILES per request
     fieldSize: 2 * 1024 * 1024   // Limit field size for safety
   },
   fileFilter: (_req, file, cb) => {
@@ -125,10 +146,89 @@ const cleanupOnError = (err, _req, res, next) => {
 /**
  * Helpers
  */
-function signToken(user) {
-  return jwt.sign({ sub: user._id.toString(), role: user.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+function signToken(user, session) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, sid: session._id.toString() },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  );
+}
+
+// Open a server-side session and return a short-lived access token plus its refresh token
+async function startSession(user, req) {
+  const { session, refreshToken } = await Session.issue(user, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
   });
+  return { token: signToken(user, session), refreshToken };
+}
+
+// Validate SLA targets for a department: { resolutionHours, categoryOverrides: [{ category, resolutionHours }] }.
+// `categoryKeys` are the known suggestion categories.
+function parseSlaTargets(input, categoryKeys) {
+  if (input === undefined) return { sla: undefined };
+  if (input === null) return { sla: { resolutionHours: null, categoryOverrides: [] } };
+
+  const isPositive = (value) => Number.isFinite(Number(value)) && Number(value) > 0;
+  const { resolutionHours = null, categoryOverrides = [] } = input;
+  if (resolutionHours !== null && !isPositive(resolutionHours)) {
+    return { error: 'sla.resolutionHours must be a positive number' };
+  }
+  if (!Array.isArray(categoryOverrides)) {
+    return { error: 'sla.categoryOverrides must be an array' };
+  }
+  for (const override of categoryOverrides) {
+    if (!override || !categoryKeys.includes(override.category) || !isPositive(override.resolutionHours)) {
+      return { error: `Each SLA override needs a category (${categoryKeys.join(', ')}) and positive resolutionHours` };
+    }
+  }
+
+  return {
+    sla: {
+      resolutionHours: resolutionHours === null ? null : Number(resolutionHours),
+      categoryOverrides: categoryOverrides.map((o) => ({ category: o.category, resolutionHours: Number(o.resolutionHours) }))
+    }
+  };
+}
+
+// Validate the hierarchy fields of a department payload (kind, parent, campus).
+// `department` is the document being updated, or null on create.
+async function parseDepartmentHierarchy(body, department) {
+  const data = {};
+  if (body.kind !== undefined) {
+    if (!DEPARTMENT_KINDS.includes(body.kind)) return { error: `kind must be one of: ${DEPARTMENT_KINDS.join(', ')}` };
+    data.kind = body.kind;
+  }
+  if (body.parent !== undefined) {
+    const parentError = await Department.checkParent(department, body.parent || null);
+    if (parentError) return { error: parentError };
+    data.parent = body.parent || null;
+  }
+  if (body.campus !== undefined) {
+    if (body.campus && (!mongoose.isValidObjectId(body.campus) || !(await CampusList.exists({ _id: body.campus })))) {
+      return { error: 'Campus not found' };
+    }
+    data.campus = body.campus || null;
+  }
+  return { data };
+}
+
+// Department named in a request body by `department` (id) or the older `assignedDepartment`
+// (id or name). Returns { department } — a Department document, null to unassign,
+// undefined when neither is given — or { error }.
+async function resolveDepartmentInput(body) {
+  const value = body.department !== undefined ? body.department : body.assignedDepartment;
+  if (value === undefined) return { department: undefined };
+  if (value === null || value === '') return { department: null };
+  const department = await Department.findActiveByRef(value);
+  return department ? { department } : { error: 'Invalid or inactive department' };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
 function pick(obj, fields) {
@@ -141,24 +241,30 @@ function pick(obj, fields) {
 /**
  * Auth Routes
  */
-// Register (public). Role forced to non-admin unless controlled by admins in future.
+// Register (public). Always creates a least-privileged account; elevated roles
+// are granted through admin invitations or /api/admin/users/:id/role.
 router.post('/api/auth/register', async (req, res) => {
   try {
-    const { name, email, password, role } = req.body || {};
+    const { name, email, password, locale } = req.body || {};
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'name, email, password are required' });
     }
-    
-    // FIXED: Removed the "&& role !== 'admin'" restriction
-    const normalizedRole = ROLES.includes(role) ? role : 'student';
+    if (locale && !LOCALES.includes(locale)) {
+      return res.status(400).json({ message: `locale must be one of: ${LOCALES.join(', ')}` });
+    }
 
     const existing = await User.findOne({ email: email.toLowerCase() });
     if (existing) return res.status(409).json({ message: 'Email already registered' });
 
     const hash = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email: email.toLowerCase(), password: hash, role: normalizedRole });
-    const token = signToken(user);
-    return res.status(201).json({ user: user.toSafeJSON(), token });
+    const user = await User.create({ name, email: email.toLowerCase(), password: hash, role: DEFAULT_ROLE, locale: locale || null });
+    // A mail outage should not block sign-up; the user can request a new link later
+    sendVerificationEmail(user).catch((mailErr) => {
+      console.error('Failed to send verification email:', mailErr.message);
+    });
+
+    const { token, refreshToken } = await startSession(user, req);
+    return res.status(201).json({ user: user.toSafeJSON(), token, refreshToken });
   } catch (err) {
     return res.status(500).json({ message: 'Registration failed', error: err.message });
   }
@@ -193,18 +299,127 @@ router.post('/api/auth/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const token = signToken(user);
+    const { token, refreshToken } = await startSession(user, req);
     console.log('Login successful for:', user.email); // Debug log
-    return res.json({ user: user.toSafeJSON(), token });
+    return res.json({ user: user.toSafeJSON(), token, refreshToken });
   } catch (err) {
     console.error('Login error:', err); // Debug log
     return res.status(500).json({ message: 'Login failed', error: err.message });
   }
 });
 
-// Logout (stateless)
-router.post('/api/auth/logout', verifyJWT, async (_req, res) => {
-  return res.json({ message: 'Logged out (client should discard token)' });
+// Invitations and role management
+router.use('/api', userRoleRoutes);
+
+// Password reset and email verification
+router.use('/api', accountRoutes);
+
+// Automatic department routing rules
+router.use('/api', routingRuleRoutes);
+
+// Suggestion categories and status workflow
+router.use('/api', suggestionWorkflowRoutes);
+
+// Department staff inbox
+router.use('/api', departmentInboxRoutes);
+
+// In-app notifications of the signed-in user
+router.use('/api', notificationRoutes);
+
+// Email outbox monitoring
+router.use('/api', mailOutboxRoutes);
+
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+router.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const rotated = await Session.rotate(req.body?.refreshToken);
+    if (!rotated) return res.status(401).json({ message: 'Invalid or expired refresh token' });
+
+    const user = await User.findById(rotated.session.user);
+    if (!user) {
+      await Session.revoke({ _id: rotated.session._id }, 'user-removed');
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    return res.json({
+      user: user.toSafeJSON(),
+      token: signToken(user, rotated.session),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Token refresh failed', error: err.message });
+  }
+});
+
+// Logout: revoke the current session
+router.post('/api/auth/logout', verifyJWT, async (req, res) => {
+  try {
+    await Session.revoke({ _id: req.user.sessionId, user: req.user.id }, 'logout');
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    return res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+// Logout everywhere: revoke every session of the current user
+router.post('/api/auth/logout-all', verifyJWT, async (req, res) => {
+  try {
+    const result = await Session.revoke({ user: req.user.id }, 'logout-all');
+    return res.json({ message: 'Logged out of all sessions', revoked: result.modifiedCount });
+  } catch (err) {
+    return res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+// Email language of the current user (null follows MAIL_DEFAULT_LOCALE)
+router.patch('/api/auth/preferences', verifyJWT, async (req, res) => {
+  try {
+    const locale = req.body?.locale;
+    if (locale === undefined) return res.status(400).json({ message: 'Nothing to update: set locale' });
+    if (locale !== null && !LOCALES.includes(locale)) {
+      return res.status(400).json({ message: `locale must be one of: ${LOCALES.join(', ')}` });
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { locale }, { new: true });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    return res.json({ user: user.toSafeJSON() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to update preferences', error: err.message });
+  }
+});
+
+// List active sessions of the current user
+router.get('/api/auth/sessions', verifyJWT, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return res.json({
+      sessions: sessions.map((s) => ({
+        ...s.toSafeJSON(),
+        current: String(s._id) === String(req.user.sessionId)
+      }))
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to list sessions', error: err.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/api/auth/sessions/:id', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid session id' });
+
+    const result = await Session.revoke({ _id: id, user: req.user.id }, 'revoked-by-user');
+    if (!result.modifiedCount) return res.status(404).json({ message: 'Session not found' });
+    return res.json({ message: 'Session revoked' });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to revoke session', error: err.message });
+  }
 });
 
 /**
@@ -225,11 +440,11 @@ router.get('/api/departments', async (req, res) => {
  */
 
 // Create suggestion (anonymous or authenticated) with optional media files
-// Accepts multipart/form-data with fields: category, description, anonymous, actionTaken
-// and files under field name "media"
-router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async (req, res) => {
+// Accepts multipart/form-data with fields: category, description, anonymous, actionTaken,
+// publicOptIn (list on the public board once approved by a moderator) and files under field name "media"
+router.post('/api/suggestions', optionalAuth, upload.array('media', 5), cleanupOnError, async (req, res) => {
   try {
-    const { category, description, assignedDepartment, actionTaken } = req.body || {};
+    const { category, description, actionTaken, campus } = req.body || {};
     const anonymous = String(req.body?.anonymous || 'true') === 'true';
 
     if (!category || !description) {
@@ -244,7 +459,8 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
       }
       return res.status(400).json({ message: 'category and description are required' });
     }
-    if (!CATEGORIES.includes(category)) {
+    const categoryDoc = await SuggestionCategory.findActive(category);
+    if (!categoryDoc) {
       // Cleanup files on validation failure
       if (req.files && req.files.length > 0) {
         req.files.forEach((file) => {
@@ -254,7 +470,8 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
           });
         });
       }
-      return res.status(400).json({ message: `Invalid category. Allowed: ${CATEGORIES.join(', ')}` });
+      const allowed = await SuggestionCategory.distinct('key', { isActive: true });
+      return res.status(400).json({ message: `Invalid category. Allowed: ${allowed.join(', ')}` });
     }
     if (!anonymous && !req.user) {
       // Cleanup files on auth failure
@@ -270,24 +487,27 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
     }
 
     // Validate department if provided
-    if (assignedDepartment) {
-      const department = await Department.findOne({ name: assignedDepartment, isActive: true });
-      if (!department) {
-        // Cleanup files on department validation failure
-        if (req.files && req.files.length > 0) {
-          req.files.forEach((file) => {
-            const filePath = path.join(path.join(process.cwd(), 'uploads'), file.filename);
-            fs.unlink(filePath, (err) => {
-              if (err) console.error(`Failed to cleanup file ${file.filename}:`, err);
-            });
-          });
-        }
-        return res.status(400).json({ message: 'Invalid or inactive department' });
-      }
+    const { department, error: departmentError } = await resolveDepartmentInput(req.body || {});
+    if (departmentError) {
+      cleanupUploadedFiles(req.files);
+      return res.status(400).json({ message: departmentError });
+    }
+
+    // Optional campus, used by routing rules
+    if (campus && (!mongoose.isValidObjectId(campus) || !(await CampusList.exists({ _id: campus })))) {
+      cleanupUploadedFiles(req.files);
+      return res.status(400).json({ message: 'Invalid campus' });
+    }
+
+    // Optional PIN protecting the tracking code of anonymous submissions
+    const pin = anonymous && req.body?.pin ? String(req.body.pin).trim() : null;
+    if (pin && !TRACKING_PIN_PATTERN.test(pin)) {
+      cleanupUploadedFiles(req.files);
+      return res.status(400).json({ message: 'PIN must be 4 to 8 digits' });
     }
 
     // Validate actionTaken length if provided
-    if (actionTaken && actionTaken.length > 20000) {
+    if (actionTaken && actionTaken.length > ACTION_TAKEN_MAX_LENGTH) {
       // Cleanup files on validation failure
       if (req.files && req.files.length > 0) {
         req.files.forEach((file) => {
@@ -297,7 +517,7 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
           });
         });
       }
-      return res.status(400).json({ message: 'Action taken cannot exceed 20000 characters' });
+      return res.status(400).json({ message: `Action taken cannot exceed ${ACTION_TAKEN_MAX_LENGTH} characters` });
     }
 
     const files = (req.files || []).map((f) => ({
@@ -308,18 +528,53 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
       size: f.size
     }));
 
-    console.log(assignedDepartment, "assigned department");
-
-    const doc = await Suggestion.create({
+    const { initial } = await SuggestionStatus.getWorkflow();
+    const doc = new Suggestion({
       user: anonymous ? undefined : req.user?.id,
       anonymous,
-      category,
+      category: categoryDoc.key,
+      status: initial ? initial.key : undefined,
       description,
       media: files,
-      assignedDepartment,
-      actionTaken: actionTaken || null // Include actionTaken if provided
+      department: department ? department._id : null,
+      assignedDepartment: department ? department.name : null,
+      campus: campus || null,
+      actionTaken: actionTaken || null, // Include actionTaken if provided
+      board: { optIn: String(req.body?.publicOptIn) === 'true' }
+    });
+    const actor = anonymous ? null : req.user || null;
+    doc.recordEvent('created', { to: doc.status }, actor);
+    if (department) {
+      doc.recordEvent('assigned', { field: 'assignedDepartment', to: department.name }, actor);
+    } else {
+      // No department chosen: the first matching routing rule picks one, else the category default
+      const rule = RoutingRule.findMatch(await RoutingRule.loadActive(), doc);
+      const fallback = !rule && categoryDoc.defaultDepartment
+        ? await Department.findOne({ _id: categoryDoc.defaultDepartment, isActive: true })
+        : null;
+      if (rule) {
+        doc.applyRoutingRule(rule);
+      } else if (fallback) {
+        doc.recordEvent('assigned', { field: 'assignedDepartment', to: fallback.name, note: `Category default: ${categoryDoc.key}` }, null);
+        doc.department = fallback._id;
+        doc.assignedDepartment = fallback.name;
+      }
+    }
+    // Flag likely duplicates for admins and show the submitter what is already reported
+    const similar = await Suggestion.findSimilar(description);
+    doc.flagPossibleDuplicates(similar);
+    // Anonymous submitters follow up with a private tracking code, shown only once
+    const trackingCode = anonymous ? await doc.issueTrackingCode(pin) : null;
+    await doc.save();
+    await notifySuggestionUpdate(doc, ['assignedDepartment'], actor);
+    const suggestion = doc.toPublicJSON();
+    if (anonymous) delete suggestion._id;
+    return res.status(201).json({
+      suggestion,
+      trackingCode,
+      pinProtected: Boolean(pin),
+      similarIssues: similar.map(toSimilarIssue)
     });
-    return res.status(201).json({ suggestion: doc.toPublicJSON() });
   } catch (err) {
     // Cleanup files on error
     if (req.files && req.files.length > 0) {
@@ -334,6 +589,34 @@ router.post('/api/suggestions', upload.array('media', 5), cleanupOnError, async
   }
 });
 
+// Similar report as shown to submitters: status, plus a masked excerpt once moderators approved it
+function toSimilarIssue({ suggestion, score }) {
+  const description = suggestion.moderation?.status === 'approved' ? suggestion.publicText('description') || '' : '';
+  return {
+    category: suggestion.category,
+    status: suggestion.status,
+    assignedDepartment: suggestion.assignedDepartment,
+    excerpt: description.length > 160 ? `${description.slice(0, 157)}...` : description || null,
+    createdAt: suggestion.createdAt,
+    score
+  };
+}
+
+// Similar issues already reported, so submitters can check before filing (public)
+router.get('/api/suggestions/similar', async (req, res) => {
+  try {
+    const description = String(req.query.description || '').trim();
+    const { category } = req.query;
+    if (description.length < 10) {
+      return res.status(400).json({ message: 'description must be at least 10 characters' });
+    }
+    const similar = await Suggestion.findSimilar(description, { category: category ? String(category) : undefined });
+    return res.json({ similarIssues: similar.map(toSimilarIssue) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to find similar suggestions', error: err.message });
+  }
+});
+
 // List current user's suggestions
 router.get('/api/suggestions/my', verifyJWT, async (req, res) => {
   try {
@@ -344,89 +627,275 @@ router.get('/api/suggestions/my', verifyJWT, async (req, res) => {
   }
 });
 
-// Track suggestion status by ID (public)
-router.get('/api/suggestions/track/:id', async (req, res) => {
+// Resolve a suggestion from its private tracking code, checking the PIN when one was set
+async function findTrackedSuggestion(req, res) {
+  const doc = await Suggestion.findByTrackingCode(req.params.code);
+  if (!doc) {
+    res.status(404).json({ message: 'Not found' });
+    return null;
+  }
+  const pinOk = await doc.matchesTrackingPin(req.get('x-tracking-pin') || req.body?.pin);
+  if (!pinOk) {
+    res.status(401).json({ message: 'A valid PIN is required for this tracking code', pinRequired: true });
+    return null;
+  }
+  return doc;
+}
+
+// Track suggestion status by private tracking code (public)
+router.get('/api/suggestions/track/:code', async (req, res) => {
   try {
-    const { id } = req.params;
-    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
-    const doc = await Suggestion.findById(id);
-    if (!doc) return res.status(404).json({ message: 'Not found' });
+    const doc = await findTrackedSuggestion(req, res);
+    if (!doc) return undefined;
     const minimal = {
-      id: doc._id,
       status: doc.status,
       category: doc.category,
-      actionTaken: doc.actionTaken, // Include actionTaken in tracking
+      actionTaken: doc.publicText('actionTaken'), // Redacted and masked like public listings
       createdAt: doc.createdAt,
-      updatedAt: doc.updatedAt
+      updatedAt: doc.updatedAt,
+      timeline: doc.toPublicTimeline(),
+      comments: doc.toPublicThread(),
+      feedback: doc.feedbackState()
     };
+    // Merged duplicates are handled on the master record; report its progress instead
+    if (doc.mergedInto) {
+      const master = await Suggestion.findById(doc.mergedInto)
+        .select('status actionTaken updatedAt moderation.redactedActionTaken moderation.maskedTerms');
+      if (master) {
+        minimal.mergedInto = { status: master.status, actionTaken: master.publicText('actionTaken'), updatedAt: master.updatedAt };
+      }
+    }
     return res.json({ suggestion: minimal });
   } catch (err) {
     return res.status(500).json({ message: 'Failed to track suggestion', error: err.message });
   }
 });
 
-// Public transparency: list resolved suggestions (paginated)
+// Conversation thread for the anonymous submitter (internal notes excluded)
+router.get('/api/suggestions/track/:code/comments', async (req, res) => {
+  try {
+    const doc = await findTrackedSuggestion(req, res);
+    if (!doc) return undefined;
+    return res.json({ comments: doc.toPublicThread() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch comments', error: err.message });
+  }
+});
+
+// Anonymous submitter reply
+router.post('/api/suggestions/track/:code/comments', async (req, res) => {
+  try {
+    const message = String(req.body?.message || '').trim();
+    if (!message) return res.status(400).json({ message: 'message is required' });
+    if (message.length > 5000) return res.status(400).json({ message: 'message cannot exceed 5000 characters' });
+
+    const doc = await findTrackedSuggestion(req, res);
+    if (!doc) return undefined;
+
+    doc.addComment({ authorType: 'submitter', message }, null);
+    await doc.save();
+    return res.status(201).json({ comments: doc.toPublicThread() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to add comment', error: err.message });
+  }
+});
+
+// Validate and apply a submitter's satisfaction feedback on a resolved suggestion
+async function saveSuggestionFeedback(req, res, doc, actor) {
+  const rating = Number(req.body?.rating);
+  const comment = req.body?.comment ? String(req.body.comment).trim() : null;
+  const reopen = req.body?.reopen === true || req.body?.reopen === 'true';
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return res.status(400).json({ message: 'rating must be a whole number from 1 to 5' });
+  }
+  if (comment && comment.length > 2000) return res.status(400).json({ message: 'comment cannot exceed 2000 characters' });
+
+  const state = doc.feedbackState();
+  if (!state.canRate) {
+    return res.status(409).json({ message: 'Feedback can only be given once for each resolution of a resolved suggestion' });
+  }
+  if (reopen && !state.canReopen) {
+    return res.status(409).json({ message: 'The reopen window for this suggestion has closed' });
+  }
+
+  const reopenTo = reopen ? await SuggestionStatus.reopenTarget(doc.status) : null;
+  if (reopen && !reopenTo) return res.status(409).json({ message: 'No open status is configured to reopen into' });
+
+  doc.submitFeedback({ rating, comment, reopenTo }, actor);
+  await doc.save();
+  if (reopenTo) await notifySuggestionReopened(doc, actor);
+  return res.status(201).json({ status: doc.status, feedback: doc.feedbackState() });
+}
+
+// Anonymous submitter rates the resolution and may reopen it
+router.post('/api/suggestions/track/:code/feedback', async (req, res) => {
+  try {
+    const doc = await findTrackedSuggestion(req, res);
+    if (!doc) return undefined;
+    return await saveSuggestionFeedback(req, res, doc, null);
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to save feedback', error: err.message });
+  }
+});
+
+// Logged-in submitters reach their own suggestions by id
+function isSuggestionOwner(req, doc) {
+  return Boolean(req.user && doc.user && String(doc.user) === String(req.user.id));
+}
+
+// Conversation thread for the logged-in submitter (internal notes excluded)
+router.get('/api/suggestions/:id/comments', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.findById(id);
+    if (!doc || !isSuggestionOwner(req, doc)) return res.status(404).json({ message: 'Not found' });
+    return res.json({ comments: doc.toPublicThread() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch comments', error: err.message });
+  }
+});
+
+// Logged-in submitter reply
+router.post('/api/suggestions/:id/comments', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const message = String(req.body?.message || '').trim();
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (!message) return res.status(400).json({ message: 'message is required' });
+    if (message.length > 5000) return res.status(400).json({ message: 'message cannot exceed 5000 characters' });
+
+    const doc = await Suggestion.findById(id);
+    if (!doc || !isSuggestionOwner(req, doc)) return res.status(404).json({ message: 'Not found' });
+
+    doc.addComment({ authorType: 'submitter', message }, req.user);
+    await doc.save();
+    return res.status(201).json({ comments: doc.toPublicThread() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to add comment', error: err.message });
+  }
+});
+
+// Logged-in submitter rates the resolution and may reopen it
+router.post('/api/suggestions/:id/feedback', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.findById(id);
+    if (!doc || !isSuggestionOwner(req, doc)) return res.status(404).json({ message: 'Not found' });
+    return await saveSuggestionFeedback(req, res, doc, req.user);
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to save feedback', error: err.message });
+  }
+});
+
+// Public transparency: list resolved suggestions approved by moderators (paginated)
 router.get('/api/public/resolved', async (req, res) => {
   try {
     const page = Math.max(parseInt(req.query.page || '1', 10), 1);
     const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 100);
     const skip = (page - 1) * limit;
+    const { finalKeys } = await SuggestionStatus.getWorkflow();
+    const filter = { status: { $in: finalKeys }, 'moderation.status': 'approved', mergedInto: null };
 
     const [items, total] = await Promise.all([
-      Suggestion.find({ status: 'Resolved' }).sort({ updatedAt: -1 }).skip(skip).limit(limit),
-      Suggestion.countDocuments({ status: 'Resolved' })
+      Suggestion.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      Suggestion.countDocuments(filter)
     ]);
 
     return res.json({
       page,
       limit,
       total,
-      suggestions: items.map((d) => d.toPublicJSON())
+      suggestions: items.map((d) => d.toPublishedJSON())
     });
   } catch (err) {
     return res.status(500).json({ message: 'Failed to fetch resolved suggestions', error: err.message });
   }
 });
 
+// Public issue board: open suggestions whose submitters opted in and a moderator approved
+router.get('/api/public/board', optionalAuth, async (req, res) => {
+  try {
+    const { category, sort } = req.query;
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = Suggestion.boardFilter();
+    if (category) filter.category = String(category);
+    const order = sort === 'recent' ? { createdAt: -1 } : { voteCount: -1, createdAt: -1 };
+
+    const [items, total] = await Promise.all([
+      Suggestion.find(filter).sort(order).skip(skip).limit(limit),
+      Suggestion.countDocuments(filter)
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      suggestions: items.map((d) => d.toBoardJSON(req.user?.id))
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch public board', error: err.message });
+  }
+});
+
+// Upvote or "me too" a board suggestion, once per user
+router.post('/api/suggestions/:id/vote', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const kind = req.body?.kind || 'upvote';
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (!VOTE_KINDS.includes(kind)) {
+      return res.status(400).json({ message: `Invalid vote kind. Allowed: ${VOTE_KINDS.join(', ')}` });
+    }
+
+    const doc = await Suggestion.castVote(id, req.user.id, kind);
+    if (doc) return res.status(201).json({ suggestion: doc.toBoardJSON(req.user.id) });
+
+    const onBoard = await Suggestion.exists({ _id: id, ...Suggestion.boardFilter() });
+    if (!onBoard) return res.status(404).json({ message: 'Not found' });
+    return res.status(409).json({ message: 'You have already voted for this suggestion' });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to vote', error: err.message });
+  }
+});
+
+// Withdraw the current user's vote
+router.delete('/api/suggestions/:id/vote', verifyJWT, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.withdrawVote(id, req.user.id);
+    if (!doc) return res.status(404).json({ message: 'No vote to withdraw' });
+    return res.json({ suggestion: doc.toBoardJSON(req.user.id) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to withdraw vote', error: err.message });
+  }
+});
+
 /**
- * Admin Routes
+ * Admin Routes (access rules live in config/permissions.js)
  */
 router.get('/api/admin/suggestions', async (req, res) => {
   try {
-    const {
-      category,
-      status,
-      assignedDepartment,
-      q,
-      from,
-      to,
-      page: pageStr,
-      limit: limitStr
-    } = req.query;
+    const { sort, page: pageStr, limit: limitStr } = req.query;
 
     const page = Math.max(parseInt(pageStr || '1', 10), 1);
     const limit = Math.min(Math.max(parseInt(limitStr || '20', 10), 1), 200);
     const skip = (page - 1) * limit;
 
-    const filter = {};
-    if (category && CATEGORIES.includes(category)) filter.category = category;
-    if (status && STATUSES.includes(status)) filter.status = status;
-    if (assignedDepartment) filter.assignedDepartment = assignedDepartment;
-    if (from || to) {
-      filter.createdAt = {};
-      if (from) filter.createdAt.$gte = new Date(from);
-      if (to) filter.createdAt.$lte = new Date(to);
-    }
-    if (q) {
-      // Search in both description and actionTaken fields
-      filter.$or = [
-        { description: { $regex: q, $options: 'i' } },
-        { actionTaken: { $regex: q, $options: 'i' } }
-      ];
+    const { filter, terms, noMatch } = await buildSuggestionFilter(req.query);
+    if (noMatch) {
+      return res.json({ page, limit, total: 0, suggestions: [] });
     }
 
+    const { order, projection } = buildSuggestionSort(sort, terms);
+
     const [items, total] = await Promise.all([
-      Suggestion.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Suggestion.find(filter, projection).sort(order).skip(skip).limit(limit),
       Suggestion.countDocuments(filter)
     ]);
 
@@ -434,46 +903,416 @@ router.get('/api/admin/suggestions', async (req, res) => {
       page,
       limit,
       total,
-      suggestions: items.map((d) => d.toPublicJSON())
+      suggestions: items.map((d) => {
+        const item = d.toAdminJSON();
+        if (!terms.length) return item;
+        item.score = d.get('score');
+        item.snippets = ['description', 'actionTaken']
+          .map((field) => ({ field, ...buildSnippet(d[field], terms) }))
+          .filter((snippet) => snippet.text);
+        return item;
+      })
     });
   } catch (err) {
     return res.status(500).json({ message: 'Failed to fetch admin suggestions', error: err.message });
   }
 });
 
-// Update suggestion fields: status, category, assignedDepartment, assignedTo, actionTaken
+const EXPORT_LIMIT = 10000;
+const PDF_EXPORT_LIMIT = 2000;
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', render: (docs) => toCsv(docs) },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: (docs) => toXlsx(docs)
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    render: (docs, { filters, truncated }) => renderSuggestionsPdf(docs, { filters, truncated })
+  }
+};
+
+// Download the admin list as CSV, XLSX or PDF. Takes the same filters and sort as
+// GET /api/admin/suggestions; the X-Export-Truncated header is set when the limit cut it short.
+router.get('/api/admin/suggestions/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return res.status(400).json({ message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const { filter, terms, noMatch } = await buildSuggestionFilter(req.query);
+    const { order, projection } = buildSuggestionSort(req.query.sort, terms);
+    const limit = format === 'pdf' ? PDF_EXPORT_LIMIT : EXPORT_LIMIT;
+
+    const docs = noMatch ? [] : await Suggestion.find(filter, projection).sort(order).limit(limit + 1).lean();
+    const truncated = docs.length > limit;
+    if (truncated) docs.length = limit;
+
+    const filters = pick(req.query, [
+      'category', 'status', 'assignedDepartment', 'underDepartment', 'campus', 'q', 'from', 'to', 'merged', 'possibleDuplicate', 'sort'
+    ]);
+    const body = await exporter.render(docs, { filters, truncated });
+
+    res.setHeader('Content-Type', exporter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="suggestions-${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.setHeader('X-Export-Truncated', String(truncated));
+    return res.send(body);
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to export suggestions', error: err.message });
+  }
+});
+
+const BULK_UPDATE_LIMIT = 500;
+
+// Bulk triage on an id list or a filter (same fields as the admin list): reassign, change
+// status and/or append a note to actionTaken. Each suggestion is checked and saved on its
+// own, its timeline notes the batch id, and the response reports the outcome per item.
+router.patch('/api/admin/suggestions/bulk', async (req, res) => {
+  try {
+    const { ids, filter: filterInput, updates = {} } = req.body || {};
+    const hasIds = Array.isArray(ids) && ids.length > 0;
+    if (hasIds === Boolean(filterInput)) {
+      return res.status(400).json({ message: 'Provide either a non-empty ids array or a filter' });
+    }
+    if (hasIds && ids.some((id) => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid id in ids' });
+    }
+    if (hasIds && ids.length > BULK_UPDATE_LIMIT) {
+      return res.status(400).json({ message: `At most ${BULK_UPDATE_LIMIT} suggestions can be updated at once` });
+    }
+
+    const changes = pick(updates, ['status', 'assignedTo']);
+    const { department, error: departmentError } = await resolveDepartmentInput(updates);
+    if (departmentError) return res.status(400).json({ message: departmentError });
+    if (department !== undefined) changes.department = department;
+    const appendNote = updates.appendNote ? String(updates.appendNote).trim() : '';
+    if (!Object.keys(changes).length && !appendNote) {
+      return res.status(400).json({ message: 'Nothing to update: set status, department, assignedTo or appendNote' });
+    }
+    if (appendNote.length > 5000) return res.status(400).json({ message: 'appendNote cannot exceed 5000 characters' });
+    if (changes.status !== undefined) changes.status = String(changes.status);
+
+    let query = { _id: { $in: hasIds ? ids : [] } };
+    if (!hasIds) {
+      const { filter, noMatch } = await buildSuggestionFilter(filterInput);
+      query = noMatch ? null : filter;
+    }
+    const docs = query ? await Suggestion.find(query).sort({ createdAt: 1 }).limit(BULK_UPDATE_LIMIT + 1) : [];
+    if (docs.length > BULK_UPDATE_LIMIT) {
+      return res.status(400).json({ message: `The filter matches more than ${BULK_UPDATE_LIMIT} suggestions; narrow it down` });
+    }
+
+    const batchId = crypto.randomUUID();
+    const workflow = await SuggestionStatus.getWorkflow();
+    const results = [];
+    if (hasIds) {
+      const found = new Set(docs.map((doc) => String(doc._id)));
+      [...new Set(ids.map(String))]
+        .filter((id) => !found.has(id))
+        .forEach((id) => results.push({ id, ok: false, error: 'Not found' }));
+    }
+
+    for (const doc of docs) {
+      try {
+        if (doc.mergedInto) {
+          results.push({ id: doc._id, ok: false, error: 'Merged into another suggestion' });
+          continue;
+        }
+        if (changes.status !== undefined) {
+          const transitionError = await SuggestionStatus.checkTransition(doc.status, changes.status, workflow);
+          if (transitionError) {
+            results.push({ id: doc._id, ok: false, error: transitionError });
+            continue;
+          }
+        }
+        const itemUpdates = { ...changes };
+        if (appendNote) {
+          itemUpdates.actionTaken = doc.actionTaken ? `${doc.actionTaken}\n\n${appendNote}` : appendNote;
+          if (itemUpdates.actionTaken.length > ACTION_TAKEN_MAX_LENGTH) {
+            results.push({ id: doc._id, ok: false, error: `Action taken cannot exceed ${ACTION_TAKEN_MAX_LENGTH} characters` });
+            continue;
+          }
+        }
+
+        const changed = doc.applyUpdates(itemUpdates, req.user, { note: `Bulk update ${batchId}` });
+        if (changed.length) {
+          await doc.save();
+          await notifySuggestionUpdate(doc, changed, req.user);
+        }
+        results.push({ id: doc._id, ok: true, changed });
+      } catch (err) {
+        results.push({ id: doc._id, ok: false, error: err.message });
+      }
+    }
+
+    return res.json({
+      batchId,
+      matched: docs.length,
+      updated: results.filter((r) => r.ok && r.changed.length).length,
+      unchanged: results.filter((r) => r.ok && !r.changed.length).length,
+      failed: results.filter((r) => !r.ok).length,
+      results
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to bulk update suggestions', error: err.message });
+  }
+});
+
+// Update suggestion fields: status, category, department (or assignedDepartment), assignedTo, actionTaken
 router.patch('/api/admin/suggestions/:id', async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
 
-    const updates = pick(req.body || {}, ['status', 'category', 'assignedDepartment', 'assignedTo', 'actionTaken']);
-    
-    if (updates.status && !STATUSES.includes(updates.status)) {
-      return res.status(400).json({ message: `Invalid status. Allowed: ${STATUSES.join(', ')}` });
+    const updates = pick(req.body || {}, ['status', 'category', 'assignedTo', 'actionTaken']);
+    // The workflow check and the write must see the same value
+    if (updates.status !== undefined) updates.status = String(updates.status);
+
+    const doc = await Suggestion.findById(id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+
+    // Status changes must follow the configured workflow
+    if (updates.status !== undefined) {
+      const transitionError = await SuggestionStatus.checkTransition(doc.status, updates.status);
+      if (transitionError) return res.status(400).json({ message: transitionError });
     }
-    if (updates.category && !CATEGORIES.includes(updates.category)) {
-      return res.status(400).json({ message: `Invalid category. Allowed: ${CATEGORIES.join(', ')}` });
+    if (updates.category !== undefined && updates.category !== doc.category && !(await SuggestionCategory.findActive(updates.category))) {
+      const allowed = await SuggestionCategory.distinct('key', { isActive: true });
+      return res.status(400).json({ message: `Invalid category. Allowed: ${allowed.join(', ')}` });
     }
 
     // Validate actionTaken length if provided
-    if (updates.actionTaken && updates.actionTaken.length > 2000) {
-      return res.status(400).json({ message: 'Action taken cannot exceed 20000 characters' });
+    if (updates.actionTaken && String(updates.actionTaken).length > ACTION_TAKEN_MAX_LENGTH) {
+      return res.status(400).json({ message: `Action taken cannot exceed ${ACTION_TAKEN_MAX_LENGTH} characters` });
     }
 
     // Validate department if being updated
-    if (updates.assignedDepartment) {
-      const department = await Department.findOne({ name: updates.assignedDepartment, isActive: true });
-      if (!department) {
-        return res.status(400).json({ message: 'Invalid or inactive department' });
-      }
+    const { department, error: departmentError } = await resolveDepartmentInput(req.body || {});
+    if (departmentError) return res.status(400).json({ message: departmentError });
+    if (department !== undefined) updates.department = department;
+
+    const changed = doc.applyUpdates(updates, req.user);
+    await doc.save();
+    await notifySuggestionUpdate(doc, changed, req.user);
+    return res.json({ suggestion: doc.toAdminJSON() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to update suggestion', error: err.message });
+  }
+});
+
+// Full conversation, including internal notes
+router.get('/api/admin/suggestions/:id/comments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.findById(id).select('comments').populate('comments.author', 'name email role');
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    return res.json({ comments: doc.comments });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch comments', error: err.message });
+  }
+});
+
+// Staff reply to the submitter, or an internal note when internal=true
+router.post('/api/admin/suggestions/:id/comments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const message = String(req.body?.message || '').trim();
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (!message) return res.status(400).json({ message: 'message is required' });
+    if (message.length > 5000) return res.status(400).json({ message: 'message cannot exceed 5000 characters' });
+
+    const doc = await Suggestion.findById(id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+
+    const comment = doc.addComment({ authorType: 'staff', message, internal: String(req.body?.internal) === 'true' }, req.user);
+    await doc.save();
+    await notifySuggestionReply(doc, comment, req.user);
+    return res.status(201).json({ comment });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to add comment', error: err.message });
+  }
+});
+
+// Full lifecycle history of a suggestion (who changed what, and when)
+router.get('/api/admin/suggestions/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.findById(id).select('history').populate('history.actor', 'name email role');
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+    return res.json({ history: doc.history });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch suggestion history', error: err.message });
+  }
+});
+
+// Moderation queue: suggestions awaiting review (or in another moderation state), oldest first
+router.get('/api/admin/moderation', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid moderation status. Allowed: ${MODERATION_STATUSES.join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page || '1', 10), 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10), 1), 200);
+    const skip = (page - 1) * limit;
+
+    // Suggestions from before moderation have no status yet and wait for review too
+    const filter = { 'moderation.status': status === 'pending' ? { $in: ['pending', null] } : status, mergedInto: null };
+    if (req.query.flag) filter['moderation.flags'] = req.query.flag;
+    if (req.query.flagged === 'true') filter['moderation.flags.0'] = { $exists: true };
+
+    const [items, total] = await Promise.all([
+      Suggestion.find(filter).sort({ createdAt: 1 }).skip(skip).limit(limit),
+      Suggestion.countDocuments(filter)
+    ]);
+
+    return res.json({
+      page,
+      limit,
+      total,
+      suggestions: items.map((d) => ({ ...d.toAdminJSON(), publicPreview: d.toPublishedJSON() }))
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch moderation queue', error: err.message });
+  }
+});
+
+// Approve a suggestion for public listings, hide it, or send it back to pending
+router.patch('/api/admin/suggestions/:id/moderation', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, note } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid moderation status. Allowed: ${MODERATION_STATUSES.join(', ')}` });
     }
+    if (note && String(note).length > 2000) return res.status(400).json({ message: 'note cannot exceed 2000 characters' });
 
-    const doc = await Suggestion.findByIdAndUpdate(id, updates, { new: true });
+    const doc = await Suggestion.findById(id);
     if (!doc) return res.status(404).json({ message: 'Not found' });
-    return res.json({ suggestion: doc.toPublicJSON() });
+    doc.moderate(status, note ? String(note) : null, req.user);
+    await doc.save();
+    return res.json({ suggestion: doc.toAdminJSON(), publicPreview: doc.toPublishedJSON() });
   } catch (err) {
-    return res.status(500).json({ message: 'Failed to update suggestion', error: err.message });
+    return res.status(500).json({ message: 'Failed to update moderation status', error: err.message });
+  }
+});
+
+// Redact what the public sees: replacement text, extra terms to mask, media to hide.
+// Send null for description/actionTaken to go back to the (masked) original.
+router.patch('/api/admin/suggestions/:id/redact', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description, actionTaken, maskedTerms, hiddenMedia } = req.body || {};
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (description && String(description).length > 5000) {
+      return res.status(400).json({ message: 'description cannot exceed 5000 characters' });
+    }
+    if (actionTaken && String(actionTaken).length > ACTION_TAKEN_MAX_LENGTH) {
+      return res.status(400).json({ message: `Action taken cannot exceed ${ACTION_TAKEN_MAX_LENGTH} characters` });
+    }
+    if ((maskedTerms !== undefined && !Array.isArray(maskedTerms)) || (hiddenMedia !== undefined && !Array.isArray(hiddenMedia))) {
+      return res.status(400).json({ message: 'maskedTerms and hiddenMedia must be arrays' });
+    }
+
+    const doc = await Suggestion.findById(id);
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+
+    const changed = [];
+    if (description !== undefined) {
+      doc.moderation.redactedDescription = description ? String(description) : null;
+      changed.push('description');
+    }
+    if (actionTaken !== undefined) {
+      doc.moderation.redactedActionTaken = actionTaken ? String(actionTaken) : null;
+      changed.push('actionTaken');
+    }
+    if (maskedTerms !== undefined) {
+      doc.moderation.maskedTerms = [...new Set(maskedTerms.map((term) => String(term).trim()).filter(Boolean))];
+      changed.push('maskedTerms');
+    }
+    if (hiddenMedia !== undefined) {
+      const filenames = new Set(doc.media.map((item) => item.filename));
+      const unknown = hiddenMedia.find((filename) => !filenames.has(filename));
+      if (unknown) return res.status(400).json({ message: `Unknown media file: ${unknown}` });
+      doc.moderation.hiddenMedia = [...new Set(hiddenMedia)];
+      changed.push('hiddenMedia');
+    }
+    if (!changed.length) return res.status(400).json({ message: 'Nothing to redact' });
+
+    doc.recordEvent('redacted', { field: 'moderation', note: changed.join(', ') }, req.user);
+    await doc.save();
+    return res.json({ suggestion: doc.toAdminJSON(), publicPreview: doc.toPublishedJSON() });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to redact suggestion', error: err.message });
+  }
+});
+
+// Likely duplicates of a suggestion, best match first
+router.get('/api/admin/suggestions/:id/similar', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    const doc = await Suggestion.findById(id).select('description');
+    if (!doc) return res.status(404).json({ message: 'Not found' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '10', 10), 1), 50);
+    const similar = await Suggestion.findSimilar(doc.description, { excludeIds: [doc._id], limit });
+    return res.json({
+      similar: similar.map(({ suggestion, score }) => ({ suggestion: suggestion.toPublicJSON(), score }))
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to find similar suggestions', error: err.message });
+  }
+});
+
+// Merge duplicates into this suggestion (the master): media and votes are combined
+router.post('/api/admin/suggestions/:id/merge', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid suggestion id' });
+    if (!Array.isArray(req.body?.duplicateIds) || !req.body.duplicateIds.length) {
+      return res.status(400).json({ message: 'duplicateIds must be a non-empty array of suggestion ids' });
+    }
+    const duplicateIds = [...new Set(req.body.duplicateIds.map(String))];
+    if (duplicateIds.some((dupId) => !mongoose.isValidObjectId(dupId))) {
+      return res.status(400).json({ message: 'Invalid id in duplicateIds' });
+    }
+    if (duplicateIds.includes(String(id))) {
+      return res.status(400).json({ message: 'A suggestion cannot be merged into itself' });
+    }
+
+    const master = await Suggestion.findById(id);
+    if (!master) return res.status(404).json({ message: 'Not found' });
+    if (master.mergedInto) {
+      return res.status(400).json({ message: 'This suggestion was merged into another one; merge into that record instead' });
+    }
+
+    const duplicates = await Suggestion.find({ _id: { $in: duplicateIds } });
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({ message: 'One or more duplicates were not found' });
+    }
+    const alreadyMerged = duplicates.find((duplicate) => duplicate.mergedInto);
+    if (alreadyMerged) {
+      return res.status(400).json({ message: `Suggestion ${alreadyMerged._id} has already been merged` });
+    }
+
+    // Records previously merged into a duplicate now point at the new master
+    const inherited = duplicates.flatMap((duplicate) => duplicate.mergedFrom);
+    master.mergeDuplicates(duplicates, req.user);
+    await master.save();
+    await Promise.all(duplicates.map((duplicate) => duplicate.save()));
+    if (inherited.length) {
+      await Suggestion.updateMany({ _id: { $in: inherited } }, { mergedInto: master._id });
+    }
+
+    return res.json({ suggestion: master.toAdminJSON(), merged: duplicates.map((duplicate) => duplicate._id) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to merge suggestions', error: err.message });
   }
 });
 
@@ -509,6 +1348,16 @@ router.get('/api/admin/departments', async (req, res) => {
 
     const filter = {};
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (req.query.kind) filter.kind = String(req.query.kind);
+    // parent=root lists top-level units
+    if (req.query.parent) {
+      filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+      if (filter.parent && !mongoose.isValidObjectId(filter.parent)) return res.status(400).json({ message: 'Invalid parent id' });
+    }
+    if (req.query.campus) {
+      if (!mongoose.isValidObjectId(req.query.campus)) return res.status(400).json({ message: 'Invalid campus id' });
+      filter.campus = req.query.campus;
+    }
     if (q) {
       filter.$or = [
         { name: { $regex: q, $options: 'i' } },
@@ -542,6 +1391,12 @@ router.post('/api/admin/departments', async (req, res) => {
       return res.status(400).json({ message: 'Department name is required' });
     }
 
+    const { sla, error: slaError } = parseSlaTargets(req.body?.sla, await SuggestionCategory.distinct('key'));
+    if (slaError) return res.status(400).json({ message: slaError });
+
+    const { data: hierarchy, error: hierarchyError } = await parseDepartmentHierarchy(req.body, null);
+    if (hierarchyError) return res.status(400).json({ message: hierarchyError });
+
     // Check if department name already exists
     const existing = await Department.findOne({ name: name.trim() });
     if (existing) {
@@ -554,7 +1409,9 @@ router.post('/api/admin/departments', async (req, res) => {
       head,
       email,
       phone,
-      isActive: isActive !== false // Default to true unless explicitly set to false
+      isActive: isActive !== false, // Default to true unless explicitly set to false
+      sla,
+      ...hierarchy
     });
 
     return res.status(201).json({ department });
@@ -566,6 +1423,25 @@ router.post('/api/admin/departments', async (req, res) => {
   }
 });
 
+// Department hierarchy as nested nodes, with campus links resolved through parents
+router.get('/api/admin/departments/tree', async (req, res) => {
+  try {
+    const tree = await Department.loadTree();
+    const toNode = (item) => ({
+      _id: item._id,
+      name: item.name,
+      kind: item.kind,
+      isActive: item.isActive,
+      campus: item.campus || null,
+      effectiveCampus: tree.campusOf(item._id),
+      children: tree.childrenOf(item._id).map(toNode)
+    });
+    return res.json({ departments: tree.childrenOf(null).map(toNode) });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to fetch department tree', error: err.message });
+  }
+});
+
 // Get single department
 router.get('/api/admin/departments/:id', async (req, res) => {
   try {
@@ -587,7 +1463,20 @@ router.put('/api/admin/departments/:id', async (req, res) => {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid department id' });
 
-    const updates = pick(req.body || {}, ['name', 'description', 'head', 'email', 'phone', 'isActive']);
+    const updates = pick(req.body || {}, ['name', 'description', 'head', 'email', 'phone', 'isActive', 'sla']);
+
+    const department = await Department.findById(id);
+    if (!department) return res.status(404).json({ message: 'Department not found' });
+
+    const { data: hierarchy, error: hierarchyError } = await parseDepartmentHierarchy(req.body || {}, department);
+    if (hierarchyError) return res.status(400).json({ message: hierarchyError });
+    Object.assign(updates, hierarchy);
+
+    if (updates.sla !== undefined) {
+      const { sla, error: slaError } = parseSlaTargets(updates.sla, await SuggestionCategory.distinct('key'));
+      if (slaError) return res.status(400).json({ message: slaError });
+      updates.sla = sla;
+    }
     
     if (updates.name) {
       updates.name = updates.name.trim();
@@ -598,8 +1487,24 @@ router.put('/api/admin/departments/:id', async (req, res) => {
       }
     }
 
-    const department = await Department.findByIdAndUpdate(id, updates, { new: true, runValidators: true });
-    if (!department) return res.status(404).json({ message: 'Department not found' });
+    if (updates.isActive === false && department.isActive) {
+      const openCount = await Suggestion.countDocuments({ department: id, resolvedAt: null });
+      if (openCount > 0) {
+        return res.status(409).json({
+          message: `Department has ${openCount} open suggestions; reassign them with POST /api/admin/departments/${id}/reassign first`,
+          openCount
+        });
+      }
+    }
+
+    const moved = updates.parent !== undefined && String(updates.parent || '') !== String(department.parent || '');
+    const renamed = updates.name !== undefined && updates.name !== department.name;
+    department.set(updates);
+    await department.save();
+    // Sub-departments follow the department to its new place in the tree
+    if (moved) await Department.syncDescendants(department);
+    // Suggestions keep the department id; refresh the display name they carry
+    if (renamed) await Suggestion.updateMany({ department: department._id }, { assignedDepartment: department.name });
 
     return res.json({ department });
   } catch (err) {
@@ -616,20 +1521,32 @@ router.delete('/api/admin/departments/:id', async (req, res) => {
     const { id } = req.params;
     if (!mongoose.isValidObjectId(id)) return res.status(400).json({ message: 'Invalid department id' });
     
-    // Check if department is assigned to any suggestions
-    const suggestionsCount = await Suggestion.countDocuments({ assignedDepartment: { $exists: true, $ne: null } });
     const department = await Department.findById(id);
-    
     if (!department) return res.status(404).json({ message: 'Department not found' });
-    
+
+    // Open suggestions must move to another department first
+    const openCount = await Suggestion.countDocuments({ department: id, resolvedAt: null });
+    if (openCount > 0) {
+      return res.status(409).json({
+        message: `Department has ${openCount} open suggestions; reassign them with POST /api/admin/departments/${id}/reassign first`,
+        openCount
+      });
+    }
+
+    // Check if department is assigned to any suggestions
+    const suggestionsCount = await Suggestion.countDocuments({ department: id });
     if (suggestionsCount > 0) {
       // If department has suggestions, soft delete (deactivate)
       department.isActive = false;
       await department.save();
       return res.json({ message: 'Department deactivated (has associated suggestions)', department });
     } else {
-      // If no suggestions, hard delete
+      // If no suggestions, hard delete and drop staff memberships
+      if (await Department.exists({ parent: id })) {
+        return res.status(409).json({ message: 'Department has sub-departments; move or delete them first' });
+      }
       await Department.findByIdAndDelete(id);
+      await User.updateMany({ departments: id }, { $pull: { departments: id } });
       return res.json({ message: 'Department deleted permanently' });
     }
   } catch (err) {
@@ -637,76 +1554,410 @@ router.delete('/api/admin/departments/:id', async (req, res) => {
   }
 });
 
-// Analytics & Reports
-router.get('/api/admin/reports/summary', async (_req, res) => {
+/**
+ * Move the suggestions of `source` to `target`. Open suggestions are reassigned one
+ * by one so their timeline and SLA follow the new department; closed ones (unless
+ * `openOnly`) are relabelled in bulk with a timeline entry.
+ * Returns { reassigned, relabelled, failed: [{ id, error }] }.
+ */
+async function transferSuggestions(source, target, actor, { openOnly = false, note } = {}) {
+  let reassigned = 0;
+  const failed = [];
+  for await (const doc of Suggestion.find({ department: source._id, resolvedAt: null }).cursor()) {
+    try {
+      doc.applyUpdates({ department: target }, actor, { note });
+      await doc.save();
+      reassigned += 1;
+    } catch (err) {
+      failed.push({ id: doc._id, error: err.message });
+    }
+  }
+
+  let relabelled = 0;
+  if (!openOnly) {
+    const result = await Suggestion.updateMany({ department: source._id, resolvedAt: { $ne: null } }, {
+      $set: { department: target._id, assignedDepartment: target.name },
+      $push: {
+        history: {
+          type: 'assigned',
+          field: 'assignedDepartment',
+          from: source.name,
+          to: target.name,
+          note: note || null,
+          actor: actor ? actor.id : null,
+          actorRole: actor ? actor.role : null,
+          at: new Date()
+        }
+      }
+    });
+    relabelled = result.modifiedCount;
+  }
+  return { reassigned, relabelled, failed };
+}
+
+// Load the source (:id) and target (body.targetId) of a merge or reassignment; returns { source, target } or { status, message }
+async function loadTransferDepartments(req) {
+  const { id } = req.params;
+  const { targetId } = req.body || {};
+  if (!mongoose.isValidObjectId(id)) return { status: 400, message: 'Invalid department id' };
+  if (!mongoose.isValidObjectId(targetId)) return { status: 400, message: 'targetId must be a department id' };
+  if (String(id) === String(targetId)) return { status: 400, message: 'Source and target must be different departments' };
+
+  const [source, target] = await Promise.all([Department.findById(id), Department.findById(targetId)]);
+  if (!source) return { status: 404, message: 'Department not found' };
+  if (!target || !target.isActive) return { status: 400, message: 'Target department not found or inactive' };
+  return { source, target };
+}
+
+// Reassign every open suggestion of a department to another one, then deactivate it
+// unless deactivate=false. Closed suggestions stay with the original department.
+router.post('/api/admin/departments/:id/reassign', async (req, res) => {
   try {
-    // Counts by status
-    const byStatus = await Suggestion.aggregate([
-      { $group: { _id: '$status', count: { $sum: 1 } } }
-    ]);
+    const { source, target, status, message } = await loadTransferDepartments(req);
+    if (!source) return res.status(status).json({ message });
 
-    // Counts by category
-    const byCategory = await Suggestion.aggregate([
-      { $group: { _id: '$category', count: { $sum: 1 } } }
-    ]);
+    const result = await transferSuggestions(source, target, req.user, {
+      openOnly: true,
+      note: `Reassigned from ${source.name} to ${target.name}`
+    });
 
-    // Counts by department
-    const byDepartment = await Suggestion.aggregate([
-      { $match: { assignedDepartment: { $ne: null } } },
-      { $group: { _id: '$assignedDepartment', count: { $sum: 1 } } }
-    ]);
+    const deactivate = req.body?.deactivate !== false && !result.failed.length;
+    if (deactivate && source.isActive) {
+      source.isActive = false;
+      await source.save();
+    }
+
+    return res.json({
+      message: result.failed.length
+        ? `Reassigned ${result.reassigned} suggestions; ${result.failed.length} failed, department left active`
+        : `Reassigned ${result.reassigned} suggestions to ${target.name}`,
+      source,
+      target,
+      ...result
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to reassign suggestions', error: err.message });
+  }
+});
 
-    // Monthly counts (last 12 months)
-    const twelveMonthsAgo = new Date();
-    twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 11);
-    twelveMonthsAgo.setHours(0, 0, 0, 0);
+// Merge a department into another: suggestions, sub-departments, staff, routing rules and
+// category defaults move to the target, then the source is deleted
+router.post('/api/admin/departments/:id/merge', async (req, res) => {
+  try {
+    const { source, target, status, message } = await loadTransferDepartments(req);
+    if (!source) return res.status(status).json({ message });
+    if (target.ancestors.some((ancestor) => ancestor.equals(source._id))) {
+      return res.status(400).json({ message: 'Cannot merge a department into one of its own sub-departments' });
+    }
 
-    const monthly = await Suggestion.aggregate([
-      { $match: { createdAt: { $gte: twelveMonthsAgo } } },
-      {
-        $group: {
-          _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
-          count: { $sum: 1 }
-        }
-      },
-      { $sort: { '_id.year': 1, '_id.month': 1 } }
-    ]);
+    const result = await transferSuggestions(source, target, req.user, { note: `Merged ${source.name} into ${target.name}` });
+    if (result.failed.length) {
+      return res.status(409).json({
+        message: `${result.failed.length} suggestions could not be moved; the department was not merged`,
+        ...result
+      });
+    }
+
+    const children = await Department.find({ parent: source._id });
+    for (const child of children) {
+      child.parent = target._id;
+      await child.save();
+      await Department.syncDescendants(child);
+    }
+    await User.updateMany({ departments: source._id }, { $addToSet: { departments: target._id } });
+    await User.updateMany({ departments: source._id }, { $pull: { departments: source._id } });
+    const rules = await RoutingRule.updateMany({ department: source._id }, { department: target._id });
+    const categories = await SuggestionCategory.updateMany({ defaultDepartment: source._id }, { defaultDepartment: target._id });
+    await source.deleteOne();
+
+    return res.json({
+      message: `Merged ${source.name} into ${target.name}`,
+      target,
+      ...result,
+      subDepartments: children.length,
+      routingRules: rules.modifiedCount,
+      categories: categories.modifiedCount
+    });
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to merge departments', error: err.message });
+  }
+});
+
+// Group report rows ({ department, assignedDepartment }) by department id, labelled with the department name
+function groupByDepartment(docs) {
+  const groups = new Map();
+  docs.forEach((d) => {
+    if (!d.department) return;
+    const key = String(d.department);
+    if (!groups.has(key)) groups.set(key, { departmentId: d.department, department: d.assignedDepartment, items: [] });
+    groups.get(key).items.push(d);
+  });
+  return [...groups.values()];
+}
+
+// SLA compliance: breach rate over suggestions with a deadline, median hours to resolution
+async function buildSlaMetrics() {
+  const now = Date.now();
+  const docs = await Suggestion.aggregate([
+    { $match: { $or: [{ 'sla.dueAt': { $ne: null } }, { resolvedAt: { $ne: null } }] } },
+    { $project: { department: 1, assignedDepartment: 1, createdAt: 1, resolvedAt: 1, dueAt: '$sla.dueAt', breachedAt: '$sla.breachedAt' } }
+  ]);
+
+  const summarize = (items) => {
+    const tracked = items.filter((d) => d.dueAt);
+    const breached = tracked.filter((d) => d.breachedAt
+      || (d.resolvedAt ? d.resolvedAt > d.dueAt : d.dueAt.getTime() < now));
+    const openOverdue = tracked.filter((d) => !d.resolvedAt && d.dueAt.getTime() < now);
+    const resolutionHours = items
+      .filter((d) => d.resolvedAt)
+      .map((d) => (d.resolvedAt - d.createdAt) / (60 * 60 * 1000));
+    const medianHours = median(resolutionHours);
+    return {
+      tracked: tracked.length,
+      breached: breached.length,
+      breachRate: tracked.length ? breached.length / tracked.length : 0,
+      openOverdue: openOverdue.length,
+      resolved: resolutionHours.length,
+      medianResolutionHours: medianHours === null ? null : Math.round(medianHours * 10) / 10
+    };
+  };
+
+  return {
+    overall: summarize(docs),
+    byDepartment: groupByDepartment(docs)
+      .map(({ departmentId, department, items }) => ({ departmentId, department, ...summarize(items) }))
+      .sort((a, b) => b.breachRate - a.breachRate)
+  };
+}
+
+// Satisfaction with resolutions: average rating (1-5), share rated 4 or 5, reopen count
+async function buildSatisfactionMetrics() {
+  const docs = await Suggestion.aggregate([
+    { $match: { 'satisfaction.rating': { $ne: null } } },
+    { $project: { department: 1, assignedDepartment: 1, category: 1, rating: '$satisfaction.rating', reopened: '$satisfaction.reopened' } }
+  ]);
+
+  const summarize = (items) => {
+    const total = items.reduce((sum, d) => sum + d.rating, 0);
+    return {
+      responses: items.length,
+      averageRating: items.length ? Math.round((total / items.length) * 100) / 100 : null,
+      satisfiedRate: items.length ? items.filter((d) => d.rating >= 4).length / items.length : 0,
+      reopened: items.filter((d) => d.reopened).length
+    };
+  };
+
+  const byCategory = new Map();
+  docs.forEach((d) => {
+    if (!d.category) return;
+    if (!byCategory.has(d.category)) byCategory.set(d.category, []);
+    byCategory.get(d.category).push(d);
+  });
+
+  return {
+    overall: summarize(docs),
+    byDepartment: groupByDepartment(docs)
+      .map(({ departmentId, department, items }) => ({ departmentId, department, ...summarize(items) }))
+      .sort((a, b) => a.averageRating - b.averageRating),
+    byCategory: [...byCategory.entries()]
+      .map(([category, items]) => ({ category, ...summarize(items) }))
+      .sort((a, b) => a.averageRating - b.averageRating)
+  };
+}
+
+// Lay aggregate rows ({ _id, count }) over configured statuses or categories: every
+// definition gets a row with its labels, and unknown values are kept at the end
+function withWorkflowLabels(rows, definitions) {
+  const counts = new Map(rows.map((row) => [row._id, row.count]));
+  const known = new Set(definitions.map((definition) => definition.key));
+  return [
+    ...definitions.map((definition) => ({
+      _id: definition.key,
+      count: counts.get(definition.key) || 0,
+      labels: definition.labels,
+      isActive: definition.isActive
+    })),
+    ...rows.filter((row) => !known.has(row._id)).map((row) => ({ ...row, labels: null, isActive: false }))
+  ];
+}
 
-    // Department statistics
-    const departmentStats = await Department.aggregate([
+/**
+ * Suggestion counts rolled up the department tree and per campus. Each tree node has
+ * its own `count`/`open` and `total`/`openTotal` including sub-departments. A
+ * suggestion counts for the campus of its department (or the department's parents),
+ * else for the campus it was filed under.
+ */
+async function buildHierarchyRollups() {
+  const [tree, rows] = await Promise.all([
+    Department.loadTree(),
+    Suggestion.aggregate([
+      { $match: { mergedInto: null } },
       {
         $group: {
-          _id: null,
-          total: { $sum: 1 },
-          active: { $sum: { $cond: ['$isActive', 1, 0] } }
+          _id: { department: '$department', campus: '$campus' },
+          count: { $sum: 1 },
+          open: { $sum: { $cond: [{ $ifNull: ['$resolvedAt', false] }, 0, 1] } }
         }
       }
-    ]);
+    ])
+  ]);
+
+  const own = new Map();
+  const campuses = new Map();
+  const add = (map, key, row) => {
+    const current = map.get(key) || { count: 0, open: 0 };
+    map.set(key, { count: current.count + row.count, open: current.open + row.open });
+  };
+  rows.forEach((row) => {
+    const departmentId = row._id.department && tree.byId.has(String(row._id.department)) ? String(row._id.department) : null;
+    if (departmentId) add(own, departmentId, row);
+    const campus = (departmentId && tree.campusOf(departmentId)) || (row._id.campus ? String(row._id.campus) : null);
+    add(campuses, campus, row);
+  });
 
-    // Action taken statistics (suggestions with action taken vs without)
-    const actionStats = await Suggestion.aggregate([
-      {
-        $group: {
-          _id: null,
-          withAction: { $sum: { $cond: [{ $ne: ['$actionTaken', null] }, 1, 0] } },
-          withoutAction: { $sum: { $cond: [{ $eq: ['$actionTaken', null] }, 1, 0] } }
-        }
+  const toNode = (item) => {
+    const children = tree.childrenOf(item._id).map(toNode);
+    const { count, open } = own.get(String(item._id)) || { count: 0, open: 0 };
+    return {
+      _id: item._id,
+      name: item.name,
+      kind: item.kind,
+      isActive: item.isActive,
+      campus: tree.campusOf(item._id),
+      count,
+      open,
+      total: children.reduce((sum, child) => sum + child.total, count),
+      openTotal: children.reduce((sum, child) => sum + child.openTotal, open),
+      children
+    };
+  };
+
+  const campusIds = [...campuses.keys()].filter(Boolean);
+  const campusNames = new Map(
+    (await CampusList.find({ _id: { $in: campusIds } }).select('campusname').lean())
+      .map((item) => [String(item._id), item.campusname])
+  );
+
+  return {
+    departmentTree: tree.childrenOf(null).map(toNode),
+    byCampus: [...campuses.entries()]
+      .map(([campus, counts]) => ({ campus, name: campus ? campusNames.get(campus) || null : null, ...counts }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+// Data behind the admin summary report, shared by the JSON and PDF versions
+async function buildSummaryReport() {
+  const [statusDefs, categoryDefs] = await Promise.all([
+    SuggestionStatus.find().sort({ sortOrder: 1, key: 1 }),
+    SuggestionCategory.find().sort({ sortOrder: 1, key: 1 })
+  ]);
+
+  // Counts by status, in workflow order with labels
+  const byStatus = withWorkflowLabels(await Suggestion.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]), statusDefs).map((row) => ({ ...row, isFinal: Boolean(statusDefs.find((d) => d.key === row._id)?.isFinal) }));
+
+  // Counts by category, with labels
+  const byCategory = withWorkflowLabels(await Suggestion.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]), categoryDefs);
+
+  // Counts by department
+  const byDepartment = await Suggestion.aggregate([
+    { $match: { department: { $ne: null } } },
+    { $group: { _id: '$department', name: { $last: '$assignedDepartment' }, count: { $sum: 1 } } }
+  ]);
+
+  // Monthly counts (last 12 months)
+  const twelveMonthsAgo = new Date();
+  twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 11);
+  twelveMonthsAgo.setHours(0, 0, 0, 0);
+
+  const monthly = await Suggestion.aggregate([
+    { $match: { createdAt: { $gte: twelveMonthsAgo } } },
+    {
+      $group: {
+        _id: { year: { $year: '$createdAt' }, month: { $month: '$createdAt' } },
+        count: { $sum: 1 }
       }
-    ]);
+    },
+    { $sort: { '_id.year': 1, '_id.month': 1 } }
+  ]);
+
+  // Department statistics
+  const departmentStats = await Department.aggregate([
+    {
+      $group: {
+        _id: null,
+        total: { $sum: 1 },
+        active: { $sum: { $cond: ['$isActive', 1, 0] } }
+      }
+    }
+  ]);
+
+  // Action taken statistics (suggestions with action taken vs without)
+  const actionStats = await Suggestion.aggregate([
+    {
+      $group: {
+        _id: null,
+        withAction: { $sum: { $cond: [{ $ne: ['$actionTaken', null] }, 1, 0] } },
+        withoutAction: { $sum: { $cond: [{ $eq: ['$actionTaken', null] }, 1, 0] } }
+      }
+    }
+  ]);
 
-    return res.json({
-      byStatus,
-      byCategory,
-      byDepartment,
-      monthly,
-      departmentStats: departmentStats[0] || { total: 0, active: 0 },
-      actionStats: actionStats[0] || { withAction: 0, withoutAction: 0 }
-    });
+  return {
+    byStatus,
+    byCategory,
+    byDepartment,
+    monthly,
+    departmentStats: departmentStats[0] || { total: 0, active: 0 },
+    actionStats: actionStats[0] || { withAction: 0, withoutAction: 0 },
+    sla: await buildSlaMetrics(),
+    satisfaction: await buildSatisfactionMetrics(),
+    ...(await buildHierarchyRollups())
+  };
+}
+
+// Analytics & Reports
+router.get('/api/admin/reports/summary', async (_req, res) => {
+  try {
+    return res.json(await buildSummaryReport());
   } catch (err) {
     return res.status(500).json({ message: 'Failed to build report', error: err.message });
   }
 });
 
+// Printable summary report with charts. X-Report-Charts is "unavailable" when the
+// server cannot draw charts (no canvas native module) and the PDF has tables only.
+router.get('/api/admin/reports/summary/pdf', async (_req, res) => {
+  try {
+    const pdf = await renderSummaryPdf(await buildSummaryReport());
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('X-Report-Charts', chartsAvailable() ? 'included' : 'unavailable');
+    res.setHeader('Content-Disposition', `attachment; filename="suggestion-summary-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    return res.send(pdf);
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to build report PDF', error: err.message });
+  }
+});
+
+// Run the SLA escalation check now instead of waiting for the scheduled job
+router.post('/api/admin/sla/escalate', async (_req, res) => {
+  try {
+    const result = await escalateBreachedSuggestions();
+    return res.json(result);
+  } catch (err) {
+    return res.status(500).json({ message: 'Failed to run SLA escalation', error: err.message });
+  }
+});
+
+// Effective configuration with secrets redacted
+router.get('/api/admin/config', (_req, res) => {
+  return res.json({ config: redactedConfig() });
+});
+
 /**
  * Event Routes
  */
@@ -0,0 +1,13 @@
+const express = require('express');
+const { listMailOutbox, retryMailOutbox } = require('../controllers/mailOutbox.controller');
+
+const router = express.Router();
+
+// Admin Routes (access rules live in config/permissions.js)
+// GET queued and sent emails
+router.get('/admin/mail/outbox', listMailOutbox);
+
+// RETRY a failed email
+router.post('/admin/mail/outbox/:id/retry', retryMailOutbox);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notification.controller');
+
+const router = express.Router();
+
+// Notification Routes (access rules live in config/permissions.js)
+// GET the signed-in user's notifications
+router.get('/notifications', listNotifications);
+
+// GET unread count
+router.get('/notifications/unread-count', getUnreadCount);
+
+// MARK all as read
+router.patch('/notifications/read-all', markAllNotificationsRead);
+
+// MARK one as read
+router.patch('/notifications/:id/read', markNotificationRead);
+
+module.exports = router;
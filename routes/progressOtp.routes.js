@@ -1,26 +1,21 @@
 const express = require('express');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const ProgressOtp = require('../models/ProgressOtp');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const { signProgressVerificationToken } = require('../middleware/progressVerification');
+const { getMailer } = require('../config/mailer');
+const { renderTemplate } = require('../services/mailTemplates');
+const { config } = require('../config');
 
 const router = express.Router();
 
-const progressOtpStore = new Map();
 const PROGRESS_OTP_TTL_MS = 10 * 60 * 1000;
 const PROGRESS_OTP_RESEND_COOLDOWN_MS = 60 * 1000;
 const PROGRESS_OTP_MAX_ATTEMPTS = 5;
-const PROGRESS_VERIFICATION_TOKEN_TTL = '1h';
-const PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK = false;
-const PROGRESS_JWT_SECRET = 'replace_with_strong_secret';
-
-const SMTP_CONFIG = {
-  host: 'smtp.gmail.com',
-  port: 465,
-  secure: true,
-  user: 'planingdirectoratetu@gmail.com',
-  pass: 'jjuu pqpt zfbh qxlm',
-  fromAddress: 'planingdirectoratetu@gmail.com',
-};
+const PROGRESS_OTP_THROTTLE_WINDOW_MS = 60 * 60 * 1000;
+const PROGRESS_OTP_MAX_REQUESTS_PER_EMAIL = 5;
+const PROGRESS_OTP_MAX_REQUESTS_PER_IP = 20;
+const PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK = config.progress.allowConsoleFallback;
 
 function normalizeEmail(email) {
   return String(email || '').trim().toLowerCase();
@@ -34,75 +29,71 @@ function generateOtp() {
   return String(crypto.randomInt(100000, 1000000));
 }
 
+// OTPs count as emailed only over SMTP; file/console transports need the explicit fallback flag
 function getProgressMailerConfig() {
-  const host = String(SMTP_CONFIG.host || '').trim();
-  const port = Number(SMTP_CONFIG.port || 0);
-  const secure = Boolean(SMTP_CONFIG.secure);
-  const user = String(SMTP_CONFIG.user || '').trim();
-  const pass = String(SMTP_CONFIG.pass || '');
-  const fromAddress = String(SMTP_CONFIG.fromAddress || '').trim();
-
-  if (!host || !port || !fromAddress) {
-    return {
-      configured: false,
-      mailer: null,
-      fromAddress,
-    };
-  }
-
-  const auth = user && pass ? { user, pass } : undefined;
-
+  const mailer = getMailer();
   return {
-    configured: true,
-    mailer: nodemailer.createTransport({
-      host,
-      port,
-      secure,
-      auth,
-      connectionTimeout: 10000,
-      greetingTimeout: 10000,
-      socketTimeout: 10000,
-    }),
-    fromAddress,
+    configured: mailer.transport === 'smtp' && mailer.configured,
+    mailer,
   };
 }
 
-function cleanupExpiredProgressOtps() {
-  const now = Date.now();
-  for (const [email, record] of progressOtpStore.entries()) {
-    if (!record || record.expiresAt <= now) {
-      progressOtpStore.delete(email);
-    }
+// Per-IP and per-email request budgets, shared across processes through MongoDB
+async function checkProgressOtpThrottle(email, ip) {
+  const [byIp, byEmail] = await Promise.all([
+    RateLimitCounter.hit(`progress-otp:ip:${ip}`, PROGRESS_OTP_THROTTLE_WINDOW_MS),
+    RateLimitCounter.hit(`progress-otp:email:${email}`, PROGRESS_OTP_THROTTLE_WINDOW_MS),
+  ]);
+
+  if (byIp.count > PROGRESS_OTP_MAX_REQUESTS_PER_IP) return byIp.resetAt;
+  if (byEmail.count > PROGRESS_OTP_MAX_REQUESTS_PER_EMAIL) return byEmail.resetAt;
+  return null;
+}
+
+// Store a new OTP for the email unless its resend cooldown is still running.
+// Returns null when the cooldown blocks the request.
+async function storeProgressOtp(email, otp, ip) {
+  const now = new Date();
+  const record = {
+    otpHash: hashOtp(otp),
+    attempts: 0,
+    cooldownUntil: new Date(now.getTime() + PROGRESS_OTP_RESEND_COOLDOWN_MS),
+    expiresAt: new Date(now.getTime() + PROGRESS_OTP_TTL_MS),
+    requestIp: ip,
+  };
+
+  try {
+    // Matches only when no record exists (upsert) or the cooldown has passed
+    return await ProgressOtp.findOneAndUpdate(
+      { email, cooldownUntil: { $lte: now } },
+      { $set: record },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    // The upsert collided with a record whose cooldown is still active
+    if (err.code === 11000) return null;
+    throw err;
   }
 }
 
-setInterval(cleanupExpiredProgressOtps, 5 * 60 * 1000).unref?.();
-
-async function sendProgressOtpEmail(email, otp) {
-  const { configured, mailer, fromAddress } = getProgressMailerConfig();
-  const subject = 'Your progress form verification code';
-  const text = `Your verification code is ${otp}. It expires in 10 minutes.`;
-  const html = `
-    <div style="font-family:Arial,sans-serif;line-height:1.5;color:#0f172a">
-      <h2 style="margin:0 0 12px">Progress Form Verification</h2>
-      <p style="margin:0 0 16px">Use the code below to unlock the progress form.</p>
-      <div style="display:inline-block;padding:14px 18px;font-size:28px;letter-spacing:6px;font-weight:700;background:#eff6ff;border:1px solid #bfdbfe;border-radius:12px;color:#1d4ed8">${otp}</div>
-      <p style="margin:16px 0 0;color:#475569">This code expires in 10 minutes and can only be used once.</p>
-    </div>
-  `;
-
-  if (mailer && fromAddress) {
-    await mailer.sendMail({
-      from: fromAddress,
-      to: email,
-      subject,
-      text,
-      html,
-    });
+// `locale` picks the template language (en, ne); anything else uses MAIL_DEFAULT_LOCALE
+async function sendProgressOtpEmail(email, otp, locale) {
+  const { configured, mailer } = getProgressMailerConfig();
+  const { subject, text, html } = renderTemplate('progress-otp', locale, {
+    otp,
+    ttlMinutes: PROGRESS_OTP_TTL_MS / 60000,
+  });
+
+  if (configured) {
+    await mailer.send({ to: email, subject, text, html });
     return { deliveryMode: 'smtp', delivered: true, configured };
   }
 
   if (PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK) {
+    if (mailer.transport !== 'smtp') {
+      const result = await mailer.send({ to: email, subject, text, html });
+      return { deliveryMode: result.deliveryMode, delivered: false, configured };
+    }
     console.warn(`[progress-otp] SMTP is not configured. OTP for ${email}: ${otp}`);
     return { deliveryMode: 'console', delivered: false, configured };
   }
@@ -110,14 +101,6 @@ async function sendProgressOtpEmail(email, otp) {
   throw new Error('Email service is not configured');
 }
 
-function signProgressVerificationToken(email) {
-  return jwt.sign(
-    { sub: email, email, purpose: 'progress-form-otp' },
-    PROGRESS_JWT_SECRET,
-    { expiresIn: PROGRESS_VERIFICATION_TOKEN_TTL }
-  );
-}
-
 router.post('/request', async (req, res) => {
   try {
     const email = normalizeEmail(req.body?.email);
@@ -129,8 +112,6 @@ router.post('/request', async (req, res) => {
       });
     }
 
-    cleanupExpiredProgressOtps();
-
     const { configured } = getProgressMailerConfig();
     if (!configured && !PROGRESS_OTP_ALLOW_CONSOLE_FALLBACK) {
       return res.status(503).json({
@@ -140,25 +121,28 @@ router.post('/request', async (req, res) => {
       });
     }
 
-    const existingRecord = progressOtpStore.get(email);
-    const now = Date.now();
-    if (existingRecord && existingRecord.cooldownUntil > now) {
+    const throttledUntil = await checkProgressOtpThrottle(email, req.ip);
+    if (throttledUntil) {
       return res.status(429).json({
         success: false,
-        message: 'Please wait before requesting another OTP',
-        resendAfterSeconds: Math.ceil((existingRecord.cooldownUntil - now) / 1000),
+        message: 'Too many OTP requests. Please try again later.',
+        resendAfterSeconds: Math.ceil((throttledUntil.getTime() - Date.now()) / 1000),
       });
     }
 
     const otp = generateOtp();
-    progressOtpStore.set(email, {
-      otpHash: hashOtp(otp),
-      expiresAt: now + PROGRESS_OTP_TTL_MS,
-      cooldownUntil: now + PROGRESS_OTP_RESEND_COOLDOWN_MS,
-      attempts: 0,
-    });
+    const stored = await storeProgressOtp(email, otp, req.ip);
+    if (!stored) {
+      const existingRecord = await ProgressOtp.findOne({ email }).select('cooldownUntil');
+      const cooldownUntil = existingRecord ? existingRecord.cooldownUntil.getTime() : Date.now();
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another OTP',
+        resendAfterSeconds: Math.max(Math.ceil((cooldownUntil - Date.now()) / 1000), 1),
+      });
+    }
 
-    const delivery = await sendProgressOtpEmail(email, otp);
+    const delivery = await sendProgressOtpEmail(email, otp, req.body?.locale);
     const delivered = delivery.deliveryMode === 'smtp';
 
     return res.json({
@@ -190,27 +174,36 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Email and OTP are required' });
     }
 
-    cleanupExpiredProgressOtps();
+    const now = new Date();
 
-    const record = progressOtpStore.get(email);
-    if (!record) {
-      return res.status(400).json({ success: false, message: 'OTP has expired or was not requested' });
-    }
-
-    const now = Date.now();
-    if (record.expiresAt <= now) {
-      progressOtpStore.delete(email);
-      return res.status(400).json({ success: false, message: 'OTP has expired' });
-    }
+    // A correct code is consumed in the same operation that matches it, so it works only once
+    const consumed = await ProgressOtp.findOneAndDelete({
+      email,
+      otpHash: hashOtp(otp),
+      expiresAt: { $gt: now },
+      attempts: { $lt: PROGRESS_OTP_MAX_ATTEMPTS },
+    });
 
-    if (record.attempts >= PROGRESS_OTP_MAX_ATTEMPTS) {
-      progressOtpStore.delete(email);
-      return res.status(429).json({ success: false, message: 'Too many failed attempts. Request a new OTP.' });
-    }
+    if (!consumed) {
+      const record = await ProgressOtp.findOneAndUpdate(
+        { email, expiresAt: { $gt: now }, attempts: { $lt: PROGRESS_OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!record) {
+        const existing = await ProgressOtp.findOne({ email });
+        if (!existing) {
+          return res.status(400).json({ success: false, message: 'OTP has expired or was not requested' });
+        }
+        if (existing.expiresAt <= now) {
+          await ProgressOtp.deleteOne({ _id: existing._id });
+          return res.status(400).json({ success: false, message: 'OTP has expired' });
+        }
+        await ProgressOtp.deleteOne({ _id: existing._id });
+        return res.status(429).json({ success: false, message: 'Too many failed attempts. Request a new OTP.' });
+      }
 
-    if (record.otpHash !== hashOtp(otp)) {
-      record.attempts += 1;
-      progressOtpStore.set(email, record);
       return res.status(401).json({
         success: false,
         message: 'Invalid OTP',
@@ -218,7 +211,6 @@ router.post('/verify', async (req, res) => {
       });
     }
 
-    progressOtpStore.delete(email);
     const verificationToken = signProgressVerificationToken(email);
 
     return res.json({
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  listRoutingRules,
+  createRoutingRule,
+  updateRoutingRule,
+  deleteRoutingRule,
+  dryRunRoutingRules
+} = require('../controllers/routingRule.controller');
+
+const router = express.Router();
+
+// Admin Routes (access rules live in config/permissions.js)
+// GET routing rules in evaluation order
+router.get('/admin/routing-rules', listRoutingRules);
+
+// CREATE routing rule
+router.post('/admin/routing-rules', createRoutingRule);
+
+// DRY-RUN rules against existing suggestions (must precede /:id)
+router.post('/admin/routing-rules/dry-run', dryRunRoutingRules);
+
+// UPDATE routing rule
+router.put('/admin/routing-rules/:id', updateRoutingRule);
+
+// DELETE routing rule
+router.delete('/admin/routing-rules/:id', deleteRoutingRule);
+
+module.exports = router;
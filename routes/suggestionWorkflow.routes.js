@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  listPublicCategories,
+  listPublicStatuses,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  listStatuses,
+  createStatus,
+  updateStatus,
+  deleteStatus
+} = require('../controllers/suggestionWorkflow.controller');
+
+const router = express.Router();
+
+// Public Routes
+// GET active categories (English and Nepali labels)
+router.get('/suggestion-categories', listPublicCategories);
+
+// GET active statuses
+router.get('/suggestion-statuses', listPublicStatuses);
+
+// Admin Routes (access rules live in config/permissions.js)
+// Categories
+router.get('/admin/suggestion-categories', listCategories);
+router.post('/admin/suggestion-categories', createCategory);
+router.put('/admin/suggestion-categories/:key', updateCategory);
+router.delete('/admin/suggestion-categories/:key', deleteCategory);
+
+// Status workflow
+router.get('/admin/suggestion-statuses', listStatuses);
+router.post('/admin/suggestion-statuses', createStatus);
+router.put('/admin/suggestion-statuses/:key', updateStatus);
+router.delete('/admin/suggestion-statuses/:key', deleteStatus);
+
+module.exports = router;
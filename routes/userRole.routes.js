@@ -0,0 +1,41 @@
+const express = require('express');
+const {
+  listUsers,
+  updateUserRole,
+  updateUserDepartments,
+  getRoleHistory,
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+} = require('../controllers/userRole.controller');
+
+const router = express.Router();
+
+// Public Routes
+// ACCEPT invitation with the signed one-time token
+router.post('/auth/invitations/accept', acceptInvitation);
+
+// Admin Routes (access rules live in config/permissions.js)
+// GET users with roles
+router.get('/admin/users', listUsers);
+
+// PROMOTE / DEMOTE user
+router.patch('/admin/users/:id/role', updateUserRole);
+
+// SET department memberships of a user
+router.put('/admin/users/:id/departments', updateUserDepartments);
+
+// GET role change history of a user
+router.get('/admin/users/:id/role-history', getRoleHistory);
+
+// GET invitations
+router.get('/admin/invitations', listInvitations);
+
+// CREATE invitation
+router.post('/admin/invitations', createInvitation);
+
+// REVOKE invitation
+router.delete('/admin/invitations/:id', revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { Suggestion } = require('../models/Suggestion');
+const { detectIssues } = require('../services/contentFilter');
+
+const BATCH_SIZE = 500;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Give suggestions created before moderation a moderation state. They were public
+// before, so clean ones are approved and stay listed; text with profanity or personal
+// data goes to the review queue. Pass --dry-run to only report.
+async function run() {
+  const { mongoUri } = config;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI is missing in .env');
+  }
+
+  await mongoose.connect(mongoUri, { autoIndex: true });
+
+  let approved = 0;
+  let pending = 0;
+  const cursor = Suggestion.find({ 'moderation.status': { $exists: false } })
+    .select('description actionTaken')
+    .lean()
+    .cursor();
+  let ops = [];
+
+  const flush = async () => {
+    if (!DRY_RUN && ops.length) await Suggestion.bulkWrite(ops);
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    const flags = [...new Set([...detectIssues(doc.description), ...detectIssues(doc.actionTaken)])];
+    const status = flags.length ? 'pending' : 'approved';
+    if (status === 'approved') approved += 1;
+    else pending += 1;
+    ops.push({
+      updateOne: {
+        filter: { _id: doc._id, 'moderation.status': { $exists: false } },
+        update: { $set: { 'moderation.status': status, 'moderation.flags': flags } }
+      }
+    });
+    if (ops.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}Moderation backfill complete. Approved: ${approved}, sent for review: ${pending}`);
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Moderation backfill failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { Suggestion } = require('../models/Suggestion');
+const { SuggestionStatus } = require('../models/SuggestionStatus');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Set resolvedAt on suggestions that reached a final status before it was recorded,
+// so they stop counting as open. The last update is the best record of when they
+// were closed. Pass --dry-run to only report.
+async function run() {
+  const { mongoUri } = config;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI is missing in .env');
+  }
+
+  await mongoose.connect(mongoUri, { autoIndex: true });
+
+  const { finalKeys } = await SuggestionStatus.getWorkflow();
+  const filter = { status: { $in: finalKeys }, resolvedAt: null };
+
+  if (DRY_RUN) {
+    console.log(`[dry run] resolvedAt backfill: ${await Suggestion.countDocuments(filter)} suggestion(s) to update`);
+    return;
+  }
+
+  // Pipeline update copies each document's own updatedAt; timestamps are left alone
+  const result = await Suggestion.updateMany(
+    filter,
+    [{ $set: { resolvedAt: { $ifNull: ['$updatedAt', '$createdAt'] } } }],
+    { timestamps: false }
+  );
+  console.log(`resolvedAt backfill complete. Updated: ${result.modifiedCount}`);
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('resolvedAt backfill failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,58 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { Suggestion } = require('../models/Suggestion');
+const { buildSearchText } = require('../services/textSearch');
+
+const BATCH_SIZE = 500;
+
+// Fill searchText for suggestions created before full-text search and build the text index
+async function run() {
+  const { mongoUri } = config;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI is missing in .env');
+  }
+
+  await mongoose.connect(mongoUri, { autoIndex: true });
+  await Suggestion.syncIndexes();
+
+  let updated = 0;
+  const cursor = Suggestion.find().select('description actionTaken +searchText').lean().cursor();
+  let ops = [];
+
+  for await (const doc of cursor) {
+    const searchText = buildSearchText(doc.description, doc.actionTaken);
+    if (searchText === doc.searchText) continue;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { searchText } } } });
+    if (ops.length === BATCH_SIZE) {
+      await Suggestion.bulkWrite(ops);
+      updated += ops.length;
+      ops = [];
+    }
+  }
+  if (ops.length) {
+    await Suggestion.bulkWrite(ops);
+    updated += ops.length;
+  }
+
+  console.log(`Search backfill complete. Updated: ${updated}`);
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Search backfill failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { Suggestion } = require('../models/Suggestion');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Remove the trackingCodeHash: null stored on suggestions without a tracking code.
+// The unique sparse index still indexes explicit nulls, so after the first one every
+// non-anonymous submission failed as a duplicate. Pass --dry-run to only report.
+async function run() {
+  if (!config.mongoUri) {
+    throw new Error('MONGODB_URI is missing in .env');
+  }
+
+  await mongoose.connect(config.mongoUri, { autoIndex: true });
+
+  const filter = { trackingCodeHash: { $type: 'null' } };
+
+  if (DRY_RUN) {
+    console.log(`[dry run] Tracking code backfill: ${await Suggestion.countDocuments(filter)} suggestion(s) to update`);
+    return;
+  }
+
+  const result = await Suggestion.updateMany(filter, { $unset: { trackingCodeHash: 1 } }, { timestamps: false });
+  console.log(`Tracking code backfill complete. Updated: ${result.modifiedCount}`);
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Tracking code backfill failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
 
 function parseDbNameFromUri(uri) {
   try {
@@ -75,7 +76,7 @@ async function copyCollectionMerge(sourceDb, targetDb, collectionName) {
 
 async function run() {
   const sourceUri = process.env.SOURCE_MONGODB_URI || process.env.ATLAS_MONGODB_URI;
-  const targetUri = process.env.TARGET_MONGODB_URI || process.env.MONGODB_URI;
+  const targetUri = process.env.TARGET_MONGODB_URI || config.mongoUri;
 
   if (!sourceUri) {
     throw new Error('Missing SOURCE_MONGODB_URI (or ATLAS_MONGODB_URI).');
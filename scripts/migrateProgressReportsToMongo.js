@@ -5,6 +5,7 @@ const dotenv = require('dotenv');
 
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
+const { config } = require('../config');
 const ProgressReport = require('../models/ProgressReport');
 
 const DATA_FILE = path.join(__dirname, '../data/progress_reports.json');
@@ -48,7 +49,7 @@ function normalizeReport(raw) {
 }
 
 async function run() {
-  const mongoUri = process.env.MONGODB_URI;
+  const { mongoUri } = config;
   if (!mongoUri) {
     throw new Error('MONGODB_URI is missing in .env');
   }
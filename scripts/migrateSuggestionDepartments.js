@@ -0,0 +1,69 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { Suggestion } = require('../models/Suggestion');
+const { Department } = require('../models/Department');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Link suggestions that only carry a department name to the department id.
+// Names are matched exactly first, then ignoring case and extra spaces; anything
+// left over is listed so it can be fixed by hand. Pass --dry-run to only report.
+async function run() {
+  const { mongoUri } = config;
+  if (!mongoUri) {
+    throw new Error('MONGODB_URI is missing in .env');
+  }
+
+  await mongoose.connect(mongoUri, { autoIndex: true });
+  if (!DRY_RUN) await Suggestion.syncIndexes();
+
+  const departments = await Department.find().select('name').lean();
+  const byName = new Map(departments.map((item) => [item.name, item]));
+  const byNormalizedName = new Map(departments.map((item) => [normalizeName(item.name), item]));
+
+  const names = await Suggestion.distinct('assignedDepartment', { department: null, assignedDepartment: { $nin: [null, ''] } });
+  let linked = 0;
+  const unmatched = [];
+
+  for (const name of names) {
+    const department = byName.get(name) || byNormalizedName.get(normalizeName(name));
+    const filter = { department: null, assignedDepartment: name };
+    if (!department) {
+      unmatched.push({ name, suggestions: await Suggestion.countDocuments(filter) });
+      continue;
+    }
+    if (DRY_RUN) {
+      linked += await Suggestion.countDocuments(filter);
+      continue;
+    }
+    const result = await Suggestion.updateMany(filter, { $set: { department: department._id, assignedDepartment: department.name } });
+    linked += result.modifiedCount;
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}Department migration complete. Linked: ${linked}, unmatched names: ${unmatched.length}`);
+  unmatched.forEach((item) => console.log(`   - "${item.name}" (${item.suggestions} suggestions)`));
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Department migration failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
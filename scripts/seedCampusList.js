@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const { connectDB } = require('../config/db');
+const { config } = require('../config');
 const CampusList = require('../models/CampusList');
 
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
@@ -66,7 +67,7 @@ async function seedCampusList() {
 
 (async () => {
   try {
-    await connectDB(process.env.MONGODB_URI);
+    await connectDB(config.mongoUri);
     await seedCampusList();
     process.exit(0);
   } catch (error) {
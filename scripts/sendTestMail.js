@@ -0,0 +1,108 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+const { config } = require('../config');
+const { sendTemplate, queueMail } = require('../services/mail');
+const { listTemplates } = require('../services/mailTemplates');
+const { processMailOutbox } = require('../jobs/mailOutbox');
+
+// Sample values for each template, so every one can be previewed without real records
+const SAMPLE_DATA = {
+  'progress-otp': { otp: '482913', ttlMinutes: 10 },
+  'verify-email': { name: 'Sita Sharma', link: `${config.appBaseUrl}/verify-email?token=sample` },
+  'password-reset': { name: 'Sita Sharma', link: `${config.appBaseUrl}/reset-password?token=sample` },
+  invitation: {
+    name: 'Sita Sharma', role: 'staff', invitedBy: 'Admin', ttlHours: 72, link: `${config.appBaseUrl}/accept-invitation?token=sample`
+  },
+  'suggestion-status': {
+    name: 'Sita Sharma',
+    category: 'infrastructure',
+    status: 'In Process',
+    actionTaken: 'The maintenance team has been asked to repair the lights.',
+    link: `${config.appBaseUrl}/suggestions/sample`
+  },
+  'sla-escalation': {
+    category: 'infrastructure',
+    department: 'Central Library',
+    status: 'Received',
+    dueAt: '2024-01-15 09:00 UTC',
+    link: `${config.appBaseUrl}/admin/suggestions/sample`
+  },
+  'survey-report-approved': {
+    name: 'Sita Sharma', collegeName: 'Sample Campus', reportYear: '2080/81', remarks: 'Well prepared.', link: `${config.appBaseUrl}/survey-reports/sample`
+  },
+  'survey-report-rejected': {
+    name: 'Sita Sharma', collegeName: 'Sample Campus', reportYear: '2080/81', remarks: 'Section 3 is missing.', link: `${config.appBaseUrl}/survey-reports/sample`
+  },
+  'faculty-form-approved': {
+    name: 'Sita Sharma', instituteName: 'Sample Campus', reportingPeriod: '2080/81', comments: 'Approved without changes.'
+  },
+  'donor-anniversary': {
+    donorName: 'Ram Bahadur', fundOfficialName: 'Ram Bahadur Scholarship Fund', relatedDepart: 'Central Department of Physics', agreementDate: '2019-03-04', years: 5
+  }
+};
+
+function usage() {
+  return [
+    'Usage: npm run mail:test -- <to> [template] [--locale en|ne] [--queue]',
+    '  Sends a template with sample data through the configured transport.',
+    '  --queue stores it in the outbox and runs one outbox pass instead (needs MONGODB_URI).',
+    `  Templates: ${listTemplates().join(', ')}`
+  ].join('\n');
+}
+
+function parseArgs(argv) {
+  const args = { locale: undefined, queue: false, positional: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--locale') {
+      args.locale = argv[i + 1];
+      i += 1;
+    } else if (argv[i] === '--queue') {
+      args.queue = true;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+// Send one template email, directly or through the outbox, e.g. to a local SMTP stand-in
+async function run() {
+  const { locale, queue, positional } = parseArgs(process.argv.slice(2));
+  const [to, template = 'suggestion-status'] = positional;
+  if (!to) throw new Error(usage());
+  if (!SAMPLE_DATA[template]) throw new Error(`No sample data for template "${template}"\n${usage()}`);
+
+  console.log(`Transport: ${config.mail.transport}${config.mail.transport === 'smtp' ? ` (${config.mail.smtp.host}:${config.mail.smtp.port})` : ''}`);
+
+  if (!queue) {
+    const result = await sendTemplate({ to, template, locale, data: SAMPLE_DATA[template] });
+    console.log('Sent:', result);
+    return;
+  }
+
+  if (!config.mongoUri) throw new Error('MONGODB_URI is missing in .env');
+  await mongoose.connect(config.mongoUri);
+  const message = await queueMail({ to, template, locale, data: SAMPLE_DATA[template], event: 'mail.test' });
+  console.log(`Queued ${message._id}`);
+  const result = await processMailOutbox();
+  console.log('Outbox pass:', result);
+}
+
+run()
+  .then(async () => {
+    await mongoose.disconnect();
+    process.exit(0);
+  })
+  .catch(async (err) => {
+    console.error('Test mail failed:', err.message);
+    try {
+      await mongoose.disconnect();
+    } catch (e) {
+      // ignore disconnect errors
+    }
+    process.exit(1);
+  });
@@ -1,6 +1,6 @@
 const path = require('path');
 const express = require('express');
-const dotenv = require('dotenv');
+const { config, assertValidConfig } = require('./config');
 const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
@@ -8,33 +8,25 @@ const rateLimit = require('express-rate-limit');
 const xssClean = require('xss-clean');
 const mongoSanitize = require('express-mongo-sanitize');
 const { connectDB } = require('./config/db');
+const { PERMISSIONS } = require('./config/permissions');
+const { authorize } = require('./middleware/auth');
+const { startSlaEscalationJob } = require('./jobs/slaEscalation');
+const { startMailOutboxJob } = require('./jobs/mailOutbox');
+const { startDonorAnniversaryJob } = require('./jobs/donorAnniversaries');
+const { SuggestionCategory } = require('./models/SuggestionCategory');
+const { SuggestionStatus } = require('./models/SuggestionStatus');
 const routes = require('./routes');
 // const progressRoutes = require('./routes/ProgressRoutes');
 
-
-
-dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+assertValidConfig();
 
 const app = express();
 
 // ---------------- Security & Middleware ----------------
 app.use(helmet());
 
-// ✅ CORS configuration - Updated to include both production and development origins
-const allowedOrigins = [
-  process.env.CORS_ORIGIN,                    // production frontend (Vercel)
-  'https://tribhuwan-pulse-i763.vercel.app',  // explicit production URL
-  'http://localhost:3000',                    // React dev server
-  'http://localhost:5173',                    // Vite dev server
-  'http://127.0.0.1:3000',                    // Alternative localhost
-  'http://127.0.0.1:5173',   
-  'http://127.0.0.1:4173',    
-  'http://172.25.205.32',
-  'http://202.70.90.11:81',                   // Alternative localhost
-  'http://digitaldashboard.tu.edu.np:81',      // Added new allowed origin
-  'http://digitaldashboard.tu.edu.np'  ,
-  'https://digitaldashboard.tu.edu.np'
-].filter(Boolean);
+// ✅ CORS configuration - origins come from CORS_ORIGIN / CORS_ORIGINS (see config/index.js)
+const allowedOrigins = config.cors.origins;
 
 
 // Debug logging (remove in production)
@@ -55,7 +47,8 @@ const corsOptions = {
   },
   credentials: true, // allow cookies / auth headers
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Progress-Verification-Token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Progress-Verification-Token', 'X-Tracking-Pin'],
+  exposedHeaders: ['Content-Disposition', 'X-Export-Truncated', 'X-Report-Charts']
 };
 
 app.use(cors(corsOptions));
@@ -64,7 +57,7 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // ---------------- Security middlewares ----------------
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({ limit: config.uploads.jsonBodyLimit }));
 app.use(express.urlencoded({ extended: true }));
 app.use(xssClean());
 app.use(mongoSanitize());
@@ -102,6 +95,10 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth', authLimiter);
 app.use('/api/suggestions', rateLimit({ windowMs: 15 * 60 * 1000, max: 200 }));
+
+// ---------------- Authorization ----------------
+app.use(authorize(PERMISSIONS));
+
 app.use('/api/reports', require('./routes/progressReports'));
 // app.use('/api/progress', progressRoutes);
 app.use('/api/progress/otp', require('./routes/progressOtp.routes'));
@@ -143,7 +140,7 @@ app.use((err, req, res, _next) => {
 });
 
 // ---------------- Start Server ----------------
-const BASE_PORT = Number(process.env.PORT) || 4000;
+const BASE_PORT = config.port;
 const MAX_PORT_RETRIES = 10;
 
 function listenWithFallback(startPort, retriesLeft) {
@@ -174,8 +171,12 @@ function listenWithFallback(startPort, retriesLeft) {
 
 (async () => {
   try {
-    await connectDB(process.env.MONGODB_URI);
+    await connectDB(config.mongoUri);
+    await Promise.all([SuggestionCategory.ensureDefaults(), SuggestionStatus.ensureDefaults()]);
     listenWithFallback(BASE_PORT, MAX_PORT_RETRIES);
+    startSlaEscalationJob();
+    startMailOutboxJob();
+    startDonorAnniversaryJob();
   } catch (err) {
     console.error('❌ Failed to start server:', err.message);
     process.exit(1);
@@ -0,0 +1,85 @@
+const { config } = require('../config');
+
+/**
+ * Masks personal data and profanity in suggestion text before it is shown publicly.
+ * Detection is heuristic: emails, phone numbers, names introduced by a title or
+ * "my name is", profanity from a built-in plus configurable word list, and any
+ * extra terms an admin marked for redaction.
+ */
+
+const MASK = '█████';
+
+// Unambiguous insults only; words with everyday meanings (e.g. animal names) would mask
+// ordinary complaints, so deployments add those through MODERATION_PROFANITY_WORDS
+const BUILT_IN_PROFANITY = [
+  'fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt', 'crap', 'idiot', 'stupid',
+  'मुजी', 'मुजि', 'साला', 'रण्डी', 'मोरो', 'मोरी', 'चिक'
+];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Nepali mobiles (98/97/96xxxxxxxx, optional +977) and other 7+ digit numbers with separators
+const PHONE_PATTERN = /(?:\+?977[\s-]?)?(?:9[678]\d{8}|\(?\d{2,4}\)?[\s-]?\d{3,4}[\s-]?\d{3,4})\b/g;
+// Titles followed by up to three capitalised words, or Nepali honorifics followed by up to two words
+const TITLED_NAME_PATTERN = /\b(?:Mr|Mrs|Ms|Miss|Dr|Prof|Sir|Madam|Professor)\.?\s+[A-Z][a-z]+(?:\s[A-Z][a-z]+){0,2}/g;
+const NEPALI_TITLED_NAME_PATTERN = /(?:श्रीमती|सुश्री|श्री|डा\.|प्रा\.)\s*[ऀ-ॿ]+(?:\s[ऀ-ॿ]+)?/g;
+const SELF_NAME_PATTERN = /([Mm]y name is|मेरो नाम)\s+([A-Z][a-z]+(?:\s[A-Z][a-z]+)?|[ऀ-ॿ]+)/g;
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match that also works for Devanagari, where \b does not apply
+function wordPattern(words) {
+  const alternatives = words.filter(Boolean).map(escapeRegExp).join('|');
+  if (!alternatives) return null;
+  return new RegExp(`(^|[^\\p{L}\\p{M}\\p{N}])(${alternatives})(?=$|[^\\p{L}\\p{M}\\p{N}])`, 'giu');
+}
+
+function profanityPattern() {
+  return wordPattern([...BUILT_IN_PROFANITY, ...config.moderation.profanityWords]);
+}
+
+/**
+ * Scan text and return { text, flags } where `text` has personal data and
+ * profanity masked and `flags` lists what was found (profanity, email, phone, name, term).
+ * `terms` are extra strings to mask, e.g. names an admin flagged.
+ */
+function filterText(input, { terms = [] } = {}) {
+  if (input === undefined || input === null || input === '') return { text: input, flags: [] };
+  const flags = new Set();
+  let text = String(input);
+
+  const replace = (pattern, flag, replacer = MASK) => {
+    text = text.replace(pattern, (...args) => {
+      flags.add(flag);
+      return typeof replacer === 'function' ? replacer(...args) : replacer;
+    });
+  };
+
+  replace(EMAIL_PATTERN, 'email');
+  replace(PHONE_PATTERN, 'phone');
+
+  const termPattern = wordPattern(terms);
+  if (termPattern) replace(termPattern, 'term', (match, lead) => `${lead}${MASK}`);
+
+  if (config.moderation.maskNames) {
+    replace(TITLED_NAME_PATTERN, 'name');
+    replace(NEPALI_TITLED_NAME_PATTERN, 'name');
+    replace(SELF_NAME_PATTERN, 'name', (match, intro) => `${intro} ${MASK}`);
+  }
+
+  const profanity = profanityPattern();
+  if (profanity) replace(profanity, 'profanity', (match, lead, word) => `${lead}${'*'.repeat(word.length)}`);
+
+  return { text, flags: [...flags] };
+}
+
+// Flags only, for queueing suggestions that need a closer look
+function detectIssues(input) {
+  return filterText(input).flags;
+}
+
+module.exports = {
+  filterText,
+  detectIssues
+};
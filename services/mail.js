@@ -0,0 +1,43 @@
+const { getMailer } = require('../config/mailer');
+const { config } = require('../config');
+const { MailOutbox } = require('../models/MailOutbox');
+const { renderTemplate } = require('./mailTemplates');
+
+/**
+ * Render a template and send it right away. For mail the caller has to report on
+ * (one-time codes, verification links); everything else goes through queueMail().
+ */
+async function sendTemplate({ to, template, locale, data }) {
+  const { subject, text, html } = renderTemplate(template, locale, data);
+  return getMailer().send({ to, subject, text, html });
+}
+
+/**
+ * Render a template and store it in the outbox; jobs/mailOutbox.js sends it and
+ * retries on failure. Returns the outbox entry, or null when `dedupeKey` was
+ * already queued.
+ */
+async function queueMail({ to, template, locale, data, event = null, dedupeKey }) {
+  const { subject, text, html, locale: used } = renderTemplate(template, locale, data);
+  try {
+    return await MailOutbox.create({
+      to,
+      subject,
+      text,
+      html,
+      template,
+      locale: used,
+      event,
+      dedupeKey,
+      maxAttempts: config.mail.outbox.maxAttempts
+    });
+  } catch (err) {
+    if (err.code === 11000 && dedupeKey) return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  sendTemplate,
+  queueMail
+};
@@ -0,0 +1,132 @@
+const { User } = require('../models/User');
+const { SuggestionStatus } = require('../models/SuggestionStatus');
+const { config } = require('../config');
+const { queueMail } = require('./mail');
+const { resolveLocale } = require('./mailTemplates');
+const { formatDate } = require('./suggestionExport');
+
+/**
+ * Email side of application events. Each hook queues a template email in the outbox
+ * and never throws: a message that cannot be queued is logged and the change that
+ * triggered it still goes through.
+ */
+async function queue(message) {
+  try {
+    return await queueMail(message);
+  } catch (err) {
+    console.error(`[mail] Failed to queue ${message.event} email to ${message.to}:`, err.message);
+    return null;
+  }
+}
+
+function formatUtc(date) {
+  return date ? `${formatDate(date)} UTC` : '';
+}
+
+// Suggestion status changed: tell the submitter, unless anonymous or they made the change
+async function mailSuggestionStatus(doc, actor) {
+  if (!doc.user || (actor && String(actor.id) === String(doc.user))) return null;
+  try {
+    const user = await User.findById(doc.user).select('name email locale');
+    if (!user) return null;
+    const locale = resolveLocale(user.locale);
+    const status = await SuggestionStatus.findOne({ key: doc.status }).select('labels');
+    return await queue({
+      to: user.email,
+      template: 'suggestion-status',
+      locale,
+      event: 'suggestion.status_changed',
+      data: {
+        name: user.name,
+        category: doc.category,
+        status: status ? status.labels[locale] || status.labels.en : doc.status,
+        actionTaken: doc.actionTaken,
+        link: `${config.appBaseUrl}/suggestions/${doc._id}`
+      }
+    });
+  } catch (err) {
+    console.error(`[mail] Failed to queue status email for suggestion ${doc._id}:`, err.message);
+    return null;
+  }
+}
+
+// Suggestion passed its SLA deadline: escalate to the department's address, once per deadline
+function mailSlaEscalation(doc, department) {
+  return queue({
+    to: department.email,
+    template: 'sla-escalation',
+    event: 'suggestion.sla_breached',
+    dedupeKey: `sla-escalation:${doc._id}:${doc.sla.dueAt.getTime()}`,
+    data: {
+      category: doc.category,
+      department: department.name,
+      status: doc.status,
+      dueAt: formatUtc(doc.sla.dueAt),
+      link: `${config.appBaseUrl}/admin/suggestions/${doc._id}`
+    }
+  });
+}
+
+// Survey report approved or rejected; `report.uploadedBy` must be populated with name and email
+async function mailSurveyReportReview(report) {
+  const uploader = report.uploadedBy;
+  if (!uploader?.email) return null;
+  const approved = report.status === 'approved';
+  const user = await User.findById(uploader._id).select('locale').catch(() => null);
+  return queue({
+    to: uploader.email,
+    template: approved ? 'survey-report-approved' : 'survey-report-rejected',
+    locale: user?.locale,
+    event: approved ? 'survey_report.approved' : 'survey_report.rejected',
+    data: {
+      name: uploader.name,
+      collegeName: report.collegeName,
+      reportYear: report.reportYear,
+      remarks: report.remarks,
+      link: `${config.appBaseUrl}/survey-reports/${report._id}`
+    }
+  });
+}
+
+// Faculty form approved: tell the address the form was submitted from
+async function mailFacultyFormApproved(form) {
+  const user = await User.findOne({ email: form.email }).select('locale').catch(() => null);
+  return queue({
+    to: form.email,
+    template: 'faculty-form-approved',
+    locale: user?.locale,
+    event: 'faculty_form.approved',
+    data: {
+      name: form.headName,
+      instituteName: form.instituteName,
+      reportingPeriod: form.reportingPeriod,
+      comments: form.reviewComments
+    }
+  });
+}
+
+// Yearly thank-you on the agreement date; one email per donor and year
+function mailDonorAnniversary(donor, now = new Date()) {
+  const years = now.getUTCFullYear() - donor.agreementDate.getUTCFullYear();
+  return queue({
+    to: donor.donorEmail,
+    template: 'donor-anniversary',
+    event: 'donor.agreement_anniversary',
+    dedupeKey: `donor-anniversary:${donor._id}:${now.getUTCFullYear()}`,
+    data: {
+      donorName: donor.donorName,
+      fundOfficialName: donor.fundOfficialName,
+      relatedDepart: donor.relatedDepart,
+      agreementDate: donor.agreementDate.toISOString().slice(0, 10),
+      years
+    }
+  });
+}
+
+module.exports = {
+  mailSuggestionStatus,
+  mailSlaEscalation,
+  mailSurveyReportReview,
+  mailFacultyFormApproved,
+  mailDonorAnniversary
+};
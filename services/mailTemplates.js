@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { LOCALES } = require('../models/User');
+
+/**
+ * File-based email templates in templates/mail/<locale>/:
+ *   <name>.txt   plain text; the first line is "Subject: ..." followed by a blank line
+ *   <name>.html  HTML body (optional), wrapped in layout.html of the same locale
+ *
+ * Placeholders: {{key}} (dotted paths allowed; HTML-escaped in .html files),
+ * {{{key}}} inserts the value unescaped, and {{#key}}...{{/key}} keeps its content
+ * only when the value is set. A template missing in the requested locale falls back
+ * to English. Files are cached outside development.
+ */
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'mail');
+const FALLBACK_LOCALE = 'en';
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+const cache = new Map();
+
+function readTemplateFile(locale, file) {
+  const key = `${locale}/${file}`;
+  if (cache.has(key)) return cache.get(key);
+  const fullPath = path.join(TEMPLATE_DIR, locale, file);
+  const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+  if (config.env !== 'development') cache.set(key, content);
+  return content;
+}
+
+function resolveLocale(locale) {
+  return LOCALES.includes(locale) ? locale : config.mail.defaultLocale;
+}
+
+function lookup(data, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? value : value[part]), data);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Sections are resolved first; then {{{raw}}} and {{key}} are substituted in one pass,
+// so placeholders inside inserted values (user text, the layout's content) stay literal
+function fill(source, data, { html = false } = {}) {
+  const present = (value) => value !== null && value !== undefined && value !== '' && value !== false;
+  return source
+    .replace(/\{\{#\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g, (match, key, inner) => (present(lookup(data, key)) ? inner : ''))
+    .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, key) => {
+      const value = lookup(data, rawKey || key);
+      if (!present(value) && value !== 0) return '';
+      return html && !rawKey ? escapeHtml(value) : String(value);
+    });
+}
+
+/**
+ * Render template `name` in `locale` with `data` to { subject, text, html, locale }.
+ * `locale` is the language actually used. `html` is null when the template has no
+ * HTML part. Throws when the template does not exist.
+ */
+function renderTemplate(name, locale, data = {}) {
+  if (!TEMPLATE_NAME_PATTERN.test(String(name))) throw new Error(`Invalid mail template name "${name}"`);
+  let used = resolveLocale(locale);
+  let source = readTemplateFile(used, `${name}.txt`);
+  if (source === null && used !== FALLBACK_LOCALE) {
+    used = FALLBACK_LOCALE;
+    source = readTemplateFile(used, `${name}.txt`);
+  }
+  if (source === null) throw new Error(`Unknown mail template "${name}"`);
+
+  const match = source.match(/^Subject:[ \t]*(.*)\r?\n\r?\n?([\s\S]*)$/);
+  if (!match) throw new Error(`Mail template "${used}/${name}.txt" must start with a "Subject:" line`);
+
+  const values = { appBaseUrl: config.appBaseUrl, ...data };
+  const subject = fill(match[1], values).replace(/\s+/g, ' ').trim();
+  const text = fill(match[2], values).replace(/\n{3,}/g, '\n\n').trim();
+
+  const body = readTemplateFile(used, `${name}.html`);
+  const layout = readTemplateFile(used, 'layout.html');
+  let html = null;
+  if (body !== null) {
+    const content = fill(body, values, { html: true });
+    html = layout !== null ? fill(layout, { ...values, subject, locale: used, content }, { html: true }) : content;
+  }
+
+  return { subject, text, html, locale: used };
+}
+
+// Names of the templates available in English, the reference locale
+function listTemplates() {
+  const dir = path.join(TEMPLATE_DIR, FALLBACK_LOCALE);
+  return fs.readdirSync(dir)
+    .filter((file) => file.endsWith('.txt'))
+    .map((file) => file.slice(0, -'.txt'.length))
+    .sort();
+}
+
+module.exports = {
+  renderTemplate,
+  listTemplates,
+  resolveLocale
+};
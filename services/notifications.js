@@ -0,0 +1,159 @@
+const { Notification } = require('../models/Notification');
+const { User, DEPARTMENT_STAFF_ROLE } = require('../models/User');
+const { Department } = require('../models/Department');
+const { SuggestionStatus } = require('../models/SuggestionStatus');
+const { mailSuggestionStatus, mailSurveyReportReview, mailFacultyFormApproved } = require('./mailEvents');
+
+/**
+ * Producers for in-app notifications; the events that also warrant an email queue
+ * it through services/mailEvents.js. They run after the change they report has
+ * been saved and never throw: a failed notification is logged and the request that
+ * caused it still succeeds.
+ */
+async function deliver(recipients, payload) {
+  try {
+    await Notification.notify(recipients, payload);
+  } catch (err) {
+    console.error(`[notifications] Failed to create ${payload.type} notification:`, err.message);
+  }
+}
+
+function actorId(actor) {
+  return actor ? actor.id : null;
+}
+
+function suggestionSubject(doc) {
+  return { kind: 'Suggestion', id: doc._id };
+}
+
+// Department staff whose departments cover `departmentId` (directly or through a parent)
+async function departmentStaffIds(departmentId) {
+  const department = await Department.findById(departmentId).select('ancestors');
+  if (!department) return [];
+  const users = await User.find({
+    role: DEPARTMENT_STAFF_ROLE,
+    departments: { $in: [department._id, ...department.ancestors] }
+  }).select('_id');
+  return users.map((user) => user._id);
+}
+
+async function statusLabel(key) {
+  const status = await SuggestionStatus.findOne({ key }).select('labels');
+  return status ? status.labels.en : key;
+}
+
+/**
+ * Tell the people involved about the fields applyUpdates() reported as `changed`:
+ * the submitter (unless anonymous) about status and action taken, and the staff of a
+ * newly assigned department about the assignment. Status changes are emailed too.
+ */
+async function notifySuggestionUpdate(doc, changed, actor) {
+  if (!changed || !changed.length) return;
+  try {
+    const common = { subject: suggestionSubject(doc), actor: actorId(actor) };
+
+    if (doc.user && changed.includes('status')) {
+      await deliver([doc.user], {
+        ...common,
+        type: 'suggestion_status',
+        title: `Your suggestion is now ${await statusLabel(doc.status)}`,
+        message: doc.actionTaken || '',
+        link: `/suggestions/${doc._id}`
+      });
+      await mailSuggestionStatus(doc, actor);
+    } else if (doc.user && changed.includes('actionTaken')) {
+      await deliver([doc.user], {
+        ...common,
+        type: 'suggestion_action',
+        title: 'Action taken on your suggestion was updated',
+        message: doc.actionTaken || '',
+        link: `/suggestions/${doc._id}`
+      });
+    }
+
+    if (doc.department && changed.includes('assignedDepartment')) {
+      await deliver(await departmentStaffIds(doc.department), {
+        ...common,
+        type: 'suggestion_assigned',
+        title: `New suggestion assigned to ${doc.assignedDepartment}`,
+        message: String(doc.description || '').slice(0, 200),
+        link: `/department/suggestions/${doc._id}`
+      });
+    }
+  } catch (err) {
+    console.error('[notifications] Failed to notify suggestion update:', err.message);
+  }
+}
+
+// Staff replied in the conversation; internal notes are never announced
+async function notifySuggestionReply(doc, comment, actor) {
+  if (!doc.user || comment.internal) return;
+  await deliver([doc.user], {
+    subject: suggestionSubject(doc),
+    actor: actorId(actor),
+    type: 'suggestion_reply',
+    title: 'New reply on your suggestion',
+    message: String(comment.message || '').slice(0, 200),
+    link: `/suggestions/${doc._id}`
+  });
+}
+
+// The submitter was not satisfied with the resolution and reopened the suggestion
+async function notifySuggestionReopened(doc, actor) {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('_id');
+    const staff = doc.department ? await departmentStaffIds(doc.department) : [];
+    await deliver([...admins.map((user) => user._id), ...staff], {
+      subject: suggestionSubject(doc),
+      actor: actorId(actor),
+      type: 'suggestion_reopened',
+      title: 'A suggestion was reopened by its submitter',
+      message: doc.satisfaction?.comment || '',
+      link: `/admin/suggestions/${doc._id}`
+    });
+  } catch (err) {
+    console.error('[notifications] Failed to notify reopened suggestion:', err.message);
+  }
+}
+
+// `report.uploadedBy` must be populated (name, email) for the email to go out
+async function notifySurveyReportReview(report, actor) {
+  const approved = report.status === 'approved';
+  await mailSurveyReportReview(report);
+  await deliver([report.uploadedBy?._id || report.uploadedBy], {
+    subject: { kind: 'SurveyReport', id: report._id },
+    actor: actorId(actor),
+    type: approved ? 'survey_report_approved' : 'survey_report_rejected',
+    title: `Survey report ${report.collegeName} (${report.reportYear}) was ${approved ? 'approved' : 'rejected'}`,
+    message: report.remarks || '',
+    link: `/survey-reports/${report._id}`
+  });
+}
+
+// Faculty forms are submitted without an account: the form's address gets the email,
+// and the in-app notification goes to the account with that address, if any
+async function notifyFacultyFormApproved(form, actor) {
+  await mailFacultyFormApproved(form);
+  try {
+    const user = await User.findOne({ email: form.email }).select('_id');
+    if (!user) return;
+    await deliver([user._id], {
+      subject: { kind: 'FacultyForm', id: form._id },
+      actor: actorId(actor),
+      type: 'faculty_form_approved',
+      title: `Faculty form for ${form.instituteName} (${form.reportingPeriod}) was approved`,
+      message: form.reviewComments || '',
+      link: `/faculty-forms/${form._id}`
+    });
+  } catch (err) {
+    console.error('[notifications] Failed to notify faculty form approval:', err.message);
+  }
+}
+
+module.exports = {
+  notifySuggestionUpdate,
+  notifySuggestionReply,
+  notifySuggestionReopened,
+  notifySurveyReportReview,
+  notifyFacultyFormApproved
+};
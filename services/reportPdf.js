@@ -0,0 +1,442 @@
+// fontkit's Devanagari shaper expects the regenerator runtime as a global
+require('regenerator-runtime/runtime');
+const fs = require('fs');
+const path = require('path');
+const fontkit = require('@pdf-lib/fontkit');
+const { PDFDocument, PDFHexString, rgb } = require('pdf-lib');
+const { EXPORT_COLUMNS, formatDate } = require('./suggestionExport');
+
+/**
+ * PDF rendering for suggestion exports and the admin summary report. Charts are drawn
+ * with chartjs-node-canvas when its native canvas build is available; without it the
+ * report falls back to tables only and says so (see chartsAvailable).
+ *
+ * Text is set in Noto Sans Devanagari (assets/fonts, SIL OFL), which covers English
+ * and Nepali. Characters outside the font, such as emoji, are replaced with "?".
+ */
+
+const A4 = [595, 842];
+const A4_LANDSCAPE = [842, 595];
+const MARGIN = 40;
+const CHART_SIZE = { width: 900, height: 420 };
+const MAX_CELL_LINES = 6;
+const TEXT_COLOR = rgb(0.06, 0.09, 0.16);
+const MUTED_COLOR = rgb(0.4, 0.45, 0.52);
+const RULE_COLOR = rgb(0.8, 0.83, 0.87);
+const FONT_DIR = path.join(__dirname, '..', 'assets', 'fonts');
+const FONT_FILES = { regular: 'NotoSansDevanagari-Regular.ttf', bold: 'NotoSansDevanagari-Bold.ttf' };
+const CHART_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#ea580c', '#475569'];
+
+let chartRenderer;
+let fontBytes;
+
+// Font files are read once and embedded (subset) into every document
+function readFonts() {
+  if (!fontBytes) {
+    fontBytes = {
+      regular: fs.readFileSync(path.join(FONT_DIR, FONT_FILES.regular)),
+      bold: fs.readFileSync(path.join(FONT_DIR, FONT_FILES.bold))
+    };
+  }
+  return fontBytes;
+}
+
+// Created on first use; null when the canvas native module is not installed
+function getChartRenderer() {
+  if (chartRenderer === undefined) {
+    try {
+      const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+      chartRenderer = new ChartJSNodeCanvas({ ...CHART_SIZE, backgroundColour: 'white' });
+    } catch (err) {
+      console.warn('[reports] Charts disabled, chartjs-node-canvas is unavailable:', err.message);
+      chartRenderer = null;
+    }
+  }
+  return chartRenderer;
+}
+
+// Whether summary reports can include charts on this server
+function chartsAvailable() {
+  return Boolean(getChartRenderer());
+}
+
+async function renderChart(configuration) {
+  const renderer = getChartRenderer();
+  if (!renderer) return null;
+  try {
+    return await renderer.renderToBuffer(configuration, 'image/png');
+  } catch (err) {
+    console.warn('[reports] Failed to render chart:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Shaping Devanagari with fontkit is slow and the same words recur on every row, so
+ * `pdfFont` shapes each word once: lines are measured and encoded word by word
+ * (shaping never crosses a space). Widths scale linearly, so they are cached at size 1.
+ */
+function cacheWords(pdfFont) {
+  const words = new Map();
+  const encodeText = pdfFont.encodeText.bind(pdfFont);
+  const widthOfTextAtSize = pdfFont.widthOfTextAtSize.bind(pdfFont);
+  const shaped = (word) => {
+    if (!words.has(word)) words.set(word, { hex: encodeText(word).asString(), width: widthOfTextAtSize(word, 1) });
+    return words.get(word);
+  };
+  const space = shaped(' ');
+
+  pdfFont.encodeText = (text) => PDFHexString.of(text.split(' ').map((word) => shaped(word).hex).join(space.hex));
+  pdfFont.widthOfTextAtSize = (text, size) => {
+    const parts = text.split(' ');
+    return (parts.reduce((sum, word) => sum + shaped(word).width, 0) + (parts.length - 1) * space.width) * size;
+  };
+  return pdfFont;
+}
+
+/**
+ * Page cursor over a pdf-lib document: keeps track of the current page and y
+ * position, wraps text and starts a new page when the next block does not fit.
+ */
+async function createWriter({ pageSize = A4 } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+  const fonts = readFonts();
+  const font = cacheWords(await pdfDoc.embedFont(fonts.regular, { subset: true }));
+  const boldFont = cacheWords(await pdfDoc.embedFont(fonts.bold, { subset: true }));
+  const supported = new Set(font.getCharacterSet());
+  const [pageWidth, pageHeight] = pageSize;
+  const contentWidth = pageWidth - MARGIN * 2;
+  let page;
+  let y;
+
+  const addPage = () => {
+    page = pdfDoc.addPage(pageSize);
+    y = pageHeight - MARGIN;
+  };
+  addPage();
+
+  const clean = (value) => Array.from(String(value ?? '').replace(/\s+/g, ' '))
+    .map((char) => (supported.has(char.codePointAt(0)) ? char : '?'))
+    .join('')
+    .replace(/\?{2,}/g, '?');
+
+  // Break text into lines no wider than `width`; long words are split
+  const wrap = (value, { size = 10, bold = false, width = contentWidth } = {}) => {
+    const fontType = bold ? boldFont : font;
+    const fits = (text) => fontType.widthOfTextAtSize(text, size) <= width;
+    const lines = [];
+    let line = '';
+    clean(value).split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (rest && !fits(rest)) {
+        let cut = rest.length - 1;
+        while (cut > 1 && !fits(rest.slice(0, cut))) cut -= 1;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+    if (line || !lines.length) lines.push(line);
+    return lines;
+  };
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      addPage();
+      return true;
+    }
+    return false;
+  };
+
+  const text = (value, { size = 10, bold = false, color = TEXT_COLOR, gap = 4 } = {}) => {
+    wrap(value, { size, bold }).forEach((line) => {
+      ensureSpace(size + 2);
+      y -= size;
+      page.drawText(line, { x: MARGIN, y, size, font: bold ? boldFont : font, color });
+      y -= 2;
+    });
+    y -= gap;
+  };
+
+  const heading = (value) => {
+    ensureSpace(60);
+    y -= 8;
+    text(value, { size: 14, bold: true, gap: 6 });
+  };
+
+  const image = async (png) => {
+    const embedded = await pdfDoc.embedPng(png);
+    const scale = Math.min(1, contentWidth / embedded.width);
+    const width = embedded.width * scale;
+    const height = embedded.height * scale;
+    ensureSpace(height + 10);
+    y -= height;
+    page.drawImage(embedded, { x: MARGIN, y, width, height });
+    y -= 10;
+  };
+
+  /**
+   * Draw rows under a header row. `columns` are { header, width (share of the row),
+   * align }; rows are arrays of cell values. The header repeats on every new page.
+   */
+  const table = (columns, rows, { size = 9 } = {}) => {
+    const lineHeight = size + 3;
+    const widths = columns.map((column) => column.width * contentWidth);
+
+    const layoutRow = (cells, { bold = false } = {}) => {
+      const cellLines = cells.map((cell, i) => {
+        const lines = wrap(cell, { size, bold, width: widths[i] - 6 });
+        if (lines.length <= MAX_CELL_LINES) return lines;
+        return [...lines.slice(0, MAX_CELL_LINES - 1), `${lines[MAX_CELL_LINES - 1].slice(0, -3)}...`];
+      });
+      return { cellLines, bold, height: Math.max(...cellLines.map((lines) => lines.length)) * lineHeight + 4 };
+    };
+
+    const drawRow = ({ cellLines, bold, height }) => {
+      const fontType = bold ? boldFont : font;
+      let x = MARGIN;
+      cellLines.forEach((lines, i) => {
+        lines.forEach((line, n) => {
+          const offset = columns[i].align === 'right' ? widths[i] - 3 - fontType.widthOfTextAtSize(line, size) : 3;
+          page.drawText(line, { x: x + offset, y: y - size - n * lineHeight, size, font: fontType, color: TEXT_COLOR });
+        });
+        x += widths[i];
+      });
+      y -= height;
+      page.drawLine({ start: { x: MARGIN, y }, end: { x: MARGIN + contentWidth, y }, thickness: 0.5, color: RULE_COLOR });
+    };
+
+    const header = layoutRow(columns.map((column) => column.header), { bold: true });
+    ensureSpace(header.height + lineHeight * 2);
+    drawRow(header);
+    rows.forEach((cells) => {
+      const row = layoutRow(cells);
+      if (ensureSpace(row.height)) drawRow(header);
+      drawRow(row);
+    });
+    y -= 8;
+  };
+
+  // Page numbers and the generation time at the foot of every page
+  const save = async (footer) => {
+    const pages = pdfDoc.getPages();
+    pages.forEach((item, i) => {
+      item.drawText(clean(`${footer}  |  Page ${i + 1} of ${pages.length}`), {
+        x: MARGIN, y: MARGIN / 2, size: 8, font, color: MUTED_COLOR
+      });
+    });
+    return Buffer.from(await pdfDoc.save());
+  };
+
+  return { text, heading, image, table, save };
+}
+
+function describeFilters(filters) {
+  const parts = Object.entries(filters || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`);
+  return parts.length ? parts.join(', ') : 'none';
+}
+
+/**
+ * Suggestion list as a landscape table with the columns that have a `pdfWidth`.
+ * `filters` are printed under the title so the printout can be traced to its query.
+ */
+async function renderSuggestionsPdf(docs, { title = 'Suggestions', filters = {}, truncated = false } = {}) {
+  const writer = await createWriter({ pageSize: A4_LANDSCAPE });
+  const columns = EXPORT_COLUMNS.filter((column) => column.pdfWidth);
+  const scale = 1 / columns.reduce((sum, column) => sum + column.pdfWidth, 0);
+
+  writer.text(title, { size: 18, bold: true, gap: 6 });
+  writer.text(`Filters: ${describeFilters(filters)}`, { size: 9, color: MUTED_COLOR, gap: 2 });
+  writer.text(`${docs.length} suggestions${truncated ? ' (export limit reached, narrow the filters for the rest)' : ''}`, {
+    size: 9, color: MUTED_COLOR, gap: 10
+  });
+
+  writer.table(
+    columns.map((column) => ({
+      header: column.header,
+      width: column.pdfWidth * scale,
+      align: column.header === 'Votes' ? 'right' : 'left'
+    })),
+    docs.map((doc) => columns.map((column) => column.value(doc)))
+  );
+
+  return writer.save(`Generated ${formatDate(new Date())} UTC`);
+}
+
+const label = (row) => row.labels?.en || row._id || 'Unassigned';
+const percent = (rate) => `${Math.round((rate || 0) * 1000) / 10}%`;
+
+function barChart(title, labels, data, { horizontal = false, color = CHART_COLORS[0], max } = {}) {
+  return {
+    type: 'bar',
+    data: { labels, datasets: [{ label: title, data, backgroundColor: color }] },
+    options: {
+      indexAxis: horizontal ? 'y' : 'x',
+      plugins: { legend: { display: false }, title: { display: true, text: title, font: { size: 18 } } },
+      scales: { [horizontal ? 'x' : 'y']: { beginAtZero: true, ...(max ? { max } : {}) } }
+    }
+  };
+}
+
+/**
+ * Printable version of GET /api/admin/reports/summary: headline numbers, charts for
+ * status, category, month, department, SLA breaches and satisfaction, and the
+ * underlying tables.
+ */
+async function renderSummaryPdf(summary, { title = 'Suggestion Summary Report' } = {}) {
+  const writer = await createWriter();
+  const total = summary.byStatus.reduce((sum, row) => sum + row.count, 0);
+  const resolved = summary.byStatus.filter((row) => row.isFinal).reduce((sum, row) => sum + row.count, 0);
+  const months = summary.monthly.map((row) => `${row._id.year}-${String(row._id.month).padStart(2, '0')}`);
+  const departments = [...summary.byDepartment].sort((a, b) => b.count - a.count);
+
+  writer.text(title, { size: 20, bold: true, gap: 4 });
+  writer.text(`Generated ${formatDate(new Date())} UTC`, { size: 9, color: MUTED_COLOR, gap: 12 });
+
+  writer.heading('Overview');
+  writer.table([
+    { header: 'Measure', width: 0.7 },
+    { header: 'Value', width: 0.3, align: 'right' }
+  ], [
+    ['Suggestions', total],
+    ['Resolved', resolved],
+    ['Open', total - resolved],
+    ['With action taken', summary.actionStats.withAction],
+    ['Departments (active / total)', `${summary.departmentStats.active} / ${summary.departmentStats.total}`],
+    ['SLA breach rate', percent(summary.sla.overall.breachRate)],
+    ['Open and overdue', summary.sla.overall.openOverdue],
+    ['Median resolution (hours)', summary.sla.overall.medianResolutionHours ?? '-'],
+    ['Average satisfaction (1-5)', summary.satisfaction.overall.averageRating ?? '-'],
+    ['Satisfaction responses', summary.satisfaction.overall.responses]
+  ]);
+
+  const charts = await Promise.all([
+    renderChart(barChart('Suggestions by status', summary.byStatus.map(label), summary.byStatus.map((row) => row.count))),
+    renderChart(barChart('Suggestions by category', summary.byCategory.map(label), summary.byCategory.map((row) => row.count), {
+      color: CHART_COLORS[1]
+    })),
+    renderChart({
+      type: 'line',
+      data: {
+        labels: months,
+        datasets: [{ label: 'Suggestions', data: summary.monthly.map((row) => row.count), borderColor: CHART_COLORS[0], tension: 0.3 }]
+      },
+      options: {
+        plugins: { legend: { display: false }, title: { display: true, text: 'Suggestions per month', font: { size: 18 } } },
+        scales: { y: { beginAtZero: true } }
+      }
+    }),
+    renderChart(barChart('Suggestions by department', departments.map((row) => row.name), departments.map((row) => row.count), {
+      horizontal: true, color: CHART_COLORS[4]
+    })),
+    renderChart(barChart('SLA breach rate by department (%)', summary.sla.byDepartment.map((row) => row.department),
+      summary.sla.byDepartment.map((row) => Math.round(row.breachRate * 1000) / 10), { horizontal: true, color: CHART_COLORS[3], max: 100 })),
+    renderChart(barChart('Average satisfaction by department', summary.satisfaction.byDepartment.map((row) => row.department),
+      summary.satisfaction.byDepartment.map((row) => row.averageRating), { horizontal: true, color: CHART_COLORS[2], max: 5 }))
+  ]);
+  const [statusChart, categoryChart, monthlyChart, departmentChart, slaChart, satisfactionChart] = charts;
+
+  writer.heading('By status');
+  if (statusChart) await writer.image(statusChart);
+  writer.table([
+    { header: 'Status', width: 0.7 },
+    { header: 'Suggestions', width: 0.3, align: 'right' }
+  ], summary.byStatus.map((row) => [label(row), row.count]));
+
+  writer.heading('By category');
+  if (categoryChart) await writer.image(categoryChart);
+  writer.table([
+    { header: 'Category', width: 0.7 },
+    { header: 'Suggestions', width: 0.3, align: 'right' }
+  ], summary.byCategory.map((row) => [label(row), row.count]));
+
+  writer.heading('Last 12 months');
+  if (monthlyChart) await writer.image(monthlyChart);
+  writer.table([
+    { header: 'Month', width: 0.7 },
+    { header: 'Suggestions', width: 0.3, align: 'right' }
+  ], summary.monthly.map((row, i) => [months[i], row.count]));
+
+  writer.heading('By department');
+  if (departmentChart) await writer.image(departmentChart);
+  writer.table([
+    { header: 'Department', width: 0.7 },
+    { header: 'Suggestions', width: 0.3, align: 'right' }
+  ], departments.map((row) => [row.name, row.count]));
+
+  // One row per unit, prefixed with a dot per level, with totals including sub-departments
+  const hierarchyRows = [];
+  const walk = (nodes, depth) => nodes.forEach((node) => {
+    hierarchyRows.push([`${'· '.repeat(depth)}${node.name}`, node.kind, node.count, node.total, node.openTotal]);
+    walk(node.children, depth + 1);
+  });
+  walk(summary.departmentTree || [], 0);
+  if (hierarchyRows.length) {
+    writer.heading('Department hierarchy');
+    writer.table([
+      { header: 'Unit', width: 0.44 },
+      { header: 'Kind', width: 0.14 },
+      { header: 'Own', width: 0.14, align: 'right' },
+      { header: 'Total', width: 0.14, align: 'right' },
+      { header: 'Open', width: 0.14, align: 'right' }
+    ], hierarchyRows);
+  }
+
+  if ((summary.byCampus || []).length) {
+    writer.heading('By campus');
+    writer.table([
+      { header: 'Campus', width: 0.6 },
+      { header: 'Suggestions', width: 0.2, align: 'right' },
+      { header: 'Open', width: 0.2, align: 'right' }
+    ], summary.byCampus.map((row) => [row.name || (row.campus ? row.campus : 'No campus'), row.count, row.open]));
+  }
+
+  writer.heading('SLA by department');
+  if (slaChart) await writer.image(slaChart);
+  writer.table([
+    { header: 'Department', width: 0.4 },
+    { header: 'Tracked', width: 0.12, align: 'right' },
+    { header: 'Breached', width: 0.12, align: 'right' },
+    { header: 'Rate', width: 0.12, align: 'right' },
+    { header: 'Overdue', width: 0.12, align: 'right' },
+    { header: 'Median h', width: 0.12, align: 'right' }
+  ], summary.sla.byDepartment.map((row) => [
+    row.department, row.tracked, row.breached, percent(row.breachRate), row.openOverdue, row.medianResolutionHours ?? '-'
+  ]));
+
+  writer.heading('Satisfaction by department');
+  if (satisfactionChart) await writer.image(satisfactionChart);
+  writer.table([
+    { header: 'Department', width: 0.4 },
+    { header: 'Responses', width: 0.15, align: 'right' },
+    { header: 'Average', width: 0.15, align: 'right' },
+    { header: 'Satisfied', width: 0.15, align: 'right' },
+    { header: 'Reopened', width: 0.15, align: 'right' }
+  ], summary.satisfaction.byDepartment.map((row) => [
+    row.department, row.responses, row.averageRating ?? '-', percent(row.satisfiedRate), row.reopened
+  ]));
+
+  if (!charts.some(Boolean)) {
+    writer.text('Charts are not available on this server; install the canvas native module to include them.', {
+      size: 8, color: MUTED_COLOR
+    });
+  }
+
+  return writer.save(title);
+}
+
+module.exports = {
+  renderSuggestionsPdf,
+  renderSummaryPdf,
+  chartsAvailable
+};
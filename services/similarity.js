@@ -0,0 +1,108 @@
+/**
+ * Local text similarity for suggestion descriptions: TF-IDF cosine over words,
+ * blended with Jaccard overlap of 3-word shingles so reworded and copy-pasted
+ * complaints both score well. Works on English and Nepali (Devanagari) text.
+ */
+
+const SHINGLE_SIZE = 3;
+const COSINE_WEIGHT = 0.7;
+// Score from which a suggestion is flagged as a likely duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+// Score from which a suggestion is shown as a similar issue
+const SIMILAR_THRESHOLD = 0.35;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'for', 'from', 'has',
+  'have', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'there',
+  'this', 'to', 'very', 'was', 'we', 'were', 'with', 'you', 'please', 'also', 'not', 'no', 'all',
+  'र', 'छ', 'छन्', 'को', 'का', 'की', 'मा', 'लाई', 'ले', 'पनि', 'हो', 'यो', 'त्यो', 'एक', 'तथा',
+  'वा', 'गर्न', 'गरेको', 'भएको', 'हुन्छ', 'थियो', 'हरु', 'हरू', 'बाट', 'सँग', 'नै'
+]);
+
+// Lowercased word tokens; \p{M} keeps Devanagari vowel signs and viramas inside words
+function tokenize(text) {
+  const words = String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+  return words.filter((word) => !STOPWORDS.has(word) && (word.length > 1 || /\p{N}/u.test(word)));
+}
+
+function shingles(tokens, size = SHINGLE_SIZE) {
+  const set = new Set();
+  if (tokens.length < size) {
+    if (tokens.length) set.add(tokens.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= tokens.length - size; i += 1) {
+    set.add(tokens.slice(i, i + size).join(' '));
+  }
+  return set;
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((item) => { if (b.has(item)) shared += 1; });
+  return shared / (a.size + b.size - shared);
+}
+
+// Smoothed inverse document frequency over a list of token arrays
+function buildIdf(documents) {
+  const df = new Map();
+  documents.forEach((tokens) => {
+    new Set(tokens).forEach((term) => df.set(term, (df.get(term) || 0) + 1));
+  });
+  const idf = new Map();
+  df.forEach((count, term) => idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1));
+  return idf;
+}
+
+function tfidfVector(tokens, idf) {
+  const vector = new Map();
+  tokens.forEach((term) => vector.set(term, (vector.get(term) || 0) + 1));
+  vector.forEach((count, term) => vector.set(term, count * (idf.get(term) || 1)));
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, term) => {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  b.forEach((weight) => { normB += weight * weight; });
+  if (!normA || !normB) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Score `candidates` ({ text, ... }) against `text` and return the best matches
+ * as [{ candidate, score }] sorted by descending score.
+ */
+function rankSimilar(text, candidates, { limit = 5, minScore = SIMILAR_THRESHOLD } = {}) {
+  const queryTokens = tokenize(text);
+  if (!queryTokens.length || !candidates.length) return [];
+
+  const candidateTokens = candidates.map((candidate) => tokenize(candidate.text));
+  const idf = buildIdf([queryTokens, ...candidateTokens]);
+  const queryVector = tfidfVector(queryTokens, idf);
+  const queryShingles = shingles(queryTokens);
+
+  return candidates
+    .map((candidate, i) => {
+      const tokens = candidateTokens[i];
+      const score = COSINE_WEIGHT * cosine(queryVector, tfidfVector(tokens, idf))
+        + (1 - COSINE_WEIGHT) * jaccard(queryShingles, shingles(tokens));
+      return { candidate, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter((match) => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  rankSimilar,
+  DUPLICATE_THRESHOLD,
+  SIMILAR_THRESHOLD
+};
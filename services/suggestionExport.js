@@ -0,0 +1,66 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Column layout shared by the CSV, XLSX and PDF suggestion exports. `width` is the
+ * XLSX column width in characters; `pdfWidth` the share of the PDF row (0 hides it).
+ */
+const EXPORT_COLUMNS = [
+  { header: 'ID', width: 26, pdfWidth: 0, value: (d) => String(d._id) },
+  { header: 'Created', width: 20, pdfWidth: 0.1, value: (d) => formatDate(d.createdAt) },
+  { header: 'Category', width: 16, pdfWidth: 0.09, value: (d) => d.category },
+  { header: 'Status', width: 14, pdfWidth: 0.08, value: (d) => d.status },
+  { header: 'Department', width: 24, pdfWidth: 0.12, value: (d) => d.assignedDepartment || '' },
+  { header: 'Assigned To', width: 18, pdfWidth: 0, value: (d) => d.assignedTo || '' },
+  { header: 'Anonymous', width: 10, pdfWidth: 0, value: (d) => (d.anonymous ? 'yes' : 'no') },
+  { header: 'Description', width: 60, pdfWidth: 0.3, value: (d) => d.description || '' },
+  { header: 'Action Taken', width: 60, pdfWidth: 0.2, value: (d) => d.actionTaken || '' },
+  { header: 'Votes', width: 8, pdfWidth: 0.04, value: (d) => d.voteCount || 0 },
+  { header: 'Resolved', width: 20, pdfWidth: 0, value: (d) => formatDate(d.resolvedAt) },
+  { header: 'SLA Due', width: 20, pdfWidth: 0, value: (d) => formatDate(d.sla?.dueAt) },
+  { header: 'SLA Breached', width: 12, pdfWidth: 0.07, value: (d) => (d.sla?.breachedAt ? 'yes' : 'no') },
+  { header: 'Rating', width: 8, pdfWidth: 0, value: (d) => d.satisfaction?.rating ?? '' },
+  { header: 'Moderation', width: 12, pdfWidth: 0, value: (d) => d.moderation?.status || '' }
+];
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().replace('T', ' ').slice(0, 16);
+}
+
+// Quote a CSV cell. Cells starting with = + - @ are prefixed with ' so spreadsheet
+// apps do not run submitted text as a formula.
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UTF-8 CSV with a byte order mark so Excel shows Nepali text correctly
+function toCsv(docs) {
+  const lines = [EXPORT_COLUMNS.map((column) => csvCell(column.header)).join(',')];
+  docs.forEach((doc) => {
+    lines.push(EXPORT_COLUMNS.map((column) => csvCell(column.value(doc))).join(','));
+  });
+  return Buffer.from(`﻿${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+async function toXlsx(docs, { title = 'Suggestions' } = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(title.slice(0, 31), { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS.map((column) => ({ header: column.header, width: column.width }));
+  sheet.getRow(1).font = { bold: true };
+  docs.forEach((doc) => sheet.addRow(EXPORT_COLUMNS.map((column) => column.value(doc))));
+  sheet.getColumn(EXPORT_COLUMNS.findIndex((c) => c.header === 'Description') + 1).alignment = { wrapText: true, vertical: 'top' };
+  sheet.getColumn(EXPORT_COLUMNS.findIndex((c) => c.header === 'Action Taken') + 1).alignment = { wrapText: true, vertical: 'top' };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  formatDate,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { searchTerms } = require('./textSearch');
+const { Department } = require('../models/Department');
+
+/**
+ * Query-string filters shared by the admin list, exports, bulk updates and the
+ * department inbox. Returns { filter, terms, noMatch }: `terms` holds the full-text
+ * search terms and `noMatch` is set when `q` had no searchable words, or the
+ * department or campus cannot match anything. `assignedDepartment` takes a department
+ * id or name; `underDepartment` matches a department and everything
+ * below it; `campus` matches suggestions filed for the campus or assigned to one of
+ * its departments.
+ */
+async function buildSuggestionFilter({
+  category, status, assignedDepartment, underDepartment, campus, q, from, to, merged, possibleDuplicate
+} = {}) {
+  const filter = {};
+  const scopes = [];
+  // Merged duplicates are hidden unless asked for
+  if (String(merged) !== 'true') filter.mergedInto = null;
+  if (String(possibleDuplicate) === 'true') filter['possibleDuplicates.0'] = { $exists: true };
+  if (category) filter.category = String(category);
+  if (status) filter.status = String(status);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  if (assignedDepartment || underDepartment || campus) {
+    if ((underDepartment && !mongoose.isValidObjectId(underDepartment)) || (campus && !mongoose.isValidObjectId(campus))) {
+      return { filter, terms: [], noMatch: true };
+    }
+    const tree = await Department.loadTree();
+    if (assignedDepartment) {
+      // Department id, or its name for older clients
+      const value = String(assignedDepartment);
+      const department = mongoose.isValidObjectId(value)
+        ? tree.byId.get(value)
+        : tree.departments.find((item) => item.name === value);
+      if (!department) return { filter, terms: [], noMatch: true };
+      filter.department = department._id;
+    }
+    if (underDepartment) {
+      scopes.push({ department: { $in: tree.descendantIds(underDepartment) } });
+    }
+    if (campus) {
+      const ids = tree.departments
+        .filter((item) => tree.campusOf(item._id) === String(campus))
+        .map((item) => item._id);
+      scopes.push({ $or: [{ campus }, { department: { $in: ids } }] });
+    }
+  }
+  if (scopes.length) filter.$and = scopes;
+
+  // Full-text search over description and actionTaken
+  const terms = q ? searchTerms(String(q)) : [];
+  if (terms.length) filter.$text = { $search: terms.join(' ') };
+  return { filter, terms, noMatch: Boolean(q) && !terms.length };
+}
+
+/**
+ * Sort order and projection for a filtered list: newest first, sort=votes ranks by
+ * community votes, and search results are ranked by relevance unless sort=recent.
+ */
+function buildSuggestionSort(sort, terms) {
+  let order = { createdAt: -1 };
+  if (sort === 'votes') {
+    order = { voteCount: -1, createdAt: -1 };
+  } else if (terms.length && sort !== 'recent') {
+    order = { score: { $meta: 'textScore' }, createdAt: -1 };
+  }
+  const projection = terms.length ? { score: { $meta: 'textScore' } } : {};
+  return { order, projection };
+}
+
+module.exports = {
+  buildSuggestionFilter,
+  buildSuggestionSort
+};
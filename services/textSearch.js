@@ -0,0 +1,81 @@
+const { tokenize } = require('./similarity');
+
+/**
+ * Search helpers for suggestions. MongoDB's text index splits Devanagari words
+ * correctly but knows nothing about Nepali postpositions, which are written
+ * joined to the noun ("पुस्तकालयमा" = "पुस्तकालय" + "मा"). Documents and queries are
+ * therefore run through the same tokenizer, which also emits the bare stem, and
+ * the result is stored in `searchText` for the text index.
+ */
+
+// Longest first, so "हरूलाई" is stripped before "लाई"
+const NEPALI_SUFFIXES = [
+  'हरूलाई', 'हरुलाई', 'हरूको', 'हरुको', 'हरूमा', 'हरुमा', 'हरूले', 'हरुले', 'हरूबाट', 'हरुबाट',
+  'हरू', 'हरु', 'लाई', 'बाट', 'देखि', 'सम्म', 'सँग', 'भित्र', 'माथि', 'मा', 'को', 'का', 'की', 'ले', 'द्वारा'
+].sort((a, b) => b.length - a.length);
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+const SNIPPET_RADIUS = 80;
+const MAX_SNIPPET_HIGHLIGHTS = 10;
+
+function nepaliStem(token) {
+  if (!DEVANAGARI.test(token)) return null;
+  const suffix = NEPALI_SUFFIXES.find((item) => token.endsWith(item) && token.length - item.length >= 2);
+  return suffix ? token.slice(0, -suffix.length) : null;
+}
+
+// Tokens of `text` plus the stems of Nepali words with a postposition attached
+function searchTerms(text) {
+  const terms = new Set();
+  tokenize(text).forEach((token) => {
+    terms.add(token);
+    const stem = nepaliStem(token);
+    if (stem) terms.add(stem);
+  });
+  return [...terms];
+}
+
+// Value stored in the indexed searchText field
+function buildSearchText(...fields) {
+  return searchTerms(fields.filter(Boolean).join(' ')).join(' ');
+}
+
+/**
+ * Plain-text snippet of `text` around the first query match, with the character
+ * ranges of every matching word in `highlights` ([start, end) pairs, relative to the
+ * snippet). Words match when they start with a query term or its stem. Returns null
+ * when nothing matches.
+ */
+function buildSnippet(text, terms) {
+  if (!text || !terms.length) return null;
+  const source = String(text);
+  const lowered = source.toLowerCase();
+  const matches = [];
+  const wordPattern = /[\p{L}\p{N}\p{M}]+/gu;
+  let match = wordPattern.exec(lowered);
+  while (match) {
+    const word = match[0];
+    if (terms.some((term) => word.startsWith(term) || (term.length > 3 && term.startsWith(word) && word.length >= 3))) {
+      matches.push([match.index, match.index + word.length]);
+    }
+    match = wordPattern.exec(lowered);
+  }
+  if (!matches.length) return null;
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(source.length, matches[0][1] + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const highlights = matches
+    .filter(([from, to]) => from >= start && to <= end)
+    .slice(0, MAX_SNIPPET_HIGHLIGHTS)
+    .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]);
+
+  return { text: `${prefix}${source.slice(start, end)}${suffix}`, highlights };
+}
+
+module.exports = {
+  searchTerms,
+  buildSearchText,
+  buildSnippet
+};
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { renderTemplate } = require('../services/mailTemplates');
+
+test('placeholders inside supplied values are not substituted again', () => {
+  const { text, html } = renderTemplate('suggestion-status', 'en', {
+    name: 'Sita',
+    category: 'infrastructure',
+    status: 'Resolved',
+    actionTaken: 'Replaced {{link}} and {{{appBaseUrl}}}',
+    link: 'https://example.org/suggestions/1'
+  });
+
+  assert.match(text, /Replaced \{\{link\}\} and \{\{\{appBaseUrl\}\}\}/);
+  assert.match(html, /Replaced \{\{link\}\} and \{\{\{appBaseUrl\}\}\}/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, PDFDict, PDFName } = require('pdf-lib');
+
+const { Suggestion } = require('../models/Suggestion');
+const { renderSuggestionsPdf } = require('../services/reportPdf');
+
+test('suggestion PDF sets Nepali text in the embedded Devanagari font', async () => {
+  const doc = new Suggestion({
+    category: 'infrastructure',
+    description: 'पुस्तकालयको बत्ती बिग्रिएको छ, कृपया मर्मत गर्नुहोस्।',
+    actionTaken: 'Maintenance team informed'
+  });
+
+  const pdf = await PDFDocument.load(await renderSuggestionsPdf([doc], { filters: { q: 'बत्ती' } }));
+  const fonts = pdf.getPage(0).node.Resources().lookup(PDFName.of('Font'), PDFDict);
+  const baseFonts = fonts.entries().map(([, ref]) => pdf.context.lookup(ref, PDFDict).get(PDFName.of('BaseFont')).decodeText());
+
+  assert.ok(baseFonts.length > 0);
+  baseFonts.forEach((name) => assert.match(name, /NotoSansDevanagari/));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { Suggestion } = require('../models/Suggestion');
+
+// Set MONGODB_TEST_URI to a throwaway database to run the tests that write documents
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+
+const nonAnonymous = (n) => ({
+  user: new mongoose.Types.ObjectId(),
+  anonymous: false,
+  category: 'infrastructure',
+  description: `Street light number ${n} near the library is broken`
+});
+
+test('non-anonymous suggestions leave trackingCodeHash unset', () => {
+  const docs = [new Suggestion(nonAnonymous(1)), new Suggestion(nonAnonymous(2))];
+  for (const doc of docs) {
+    assert.strictEqual('trackingCodeHash' in doc.toObject({ transform: false }), false);
+  }
+});
+
+test('two non-anonymous suggestions can be saved next to an anonymous one', { skip: !MONGODB_TEST_URI && 'MONGODB_TEST_URI not set' }, async (t) => {
+  await mongoose.connect(MONGODB_TEST_URI);
+  t.after(async () => {
+    await Suggestion.collection.drop().catch(() => {});
+    await mongoose.disconnect();
+  });
+  await Suggestion.syncIndexes();
+
+  const anonymous = new Suggestion({ ...nonAnonymous(0), user: undefined, anonymous: true });
+  const code = await anonymous.issueTrackingCode();
+  await anonymous.save();
+
+  await Suggestion.create(nonAnonymous(1));
+  await Suggestion.create(nonAnonymous(2));
+
+  assert.strictEqual(await Suggestion.countDocuments({ trackingCodeHash: { $exists: false } }), 2);
+  assert.ok((await Suggestion.findByTrackingCode(code))._id.equals(anonymous._id));
+});